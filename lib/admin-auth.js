@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+/**
+ * HTTP Basic auth guard for the moderator dashboard.
+ * Any username is accepted; the password must match ADMIN_PASSWORD
+ * (environment variable first, then config.json; read on every request, so a
+ * config.json change applies at once). Without a password the admin routes
+ * stay closed.
+ */
+function createAdminAuth({ config, logger }) {
+  function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+  }
+
+  return function requireAdmin(req, res, next) {
+    const password = config.ADMIN_PASSWORD;
+    if (!password) {
+      logger.warn('Admin access attempted but ADMIN_PASSWORD is not set', { ip: req.ip, path: req.path });
+      return res.status(503).json({ error: 'Admin dashboard is disabled. Set ADMIN_PASSWORD to enable it.' });
+    }
+
+    const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+    const supplied = scheme === 'Basic' && encoded
+      ? Buffer.from(encoded, 'base64').toString('utf8').split(':').slice(1).join(':')
+      : '';
+
+    // Compare fixed-length digests so the check does not leak the password length
+    if (!crypto.timingSafeEqual(digest(supplied), digest(password))) {
+      if (supplied) {
+        logger.warn('Admin login failed', { ip: req.ip, path: req.path });
+      }
+      res.set('WWW-Authenticate', 'Basic realm="Wedding Card Admin", charset="UTF-8"');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    next();
+  };
+}
+
+module.exports = { createAdminAuth };
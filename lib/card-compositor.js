@@ -0,0 +1,173 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+
+/**
+ * Greeting card compositor.
+ * Places a photo into a print template from card-templates.json and adds
+ * text overlays (couple names, wedding date, hashtag and the guest's
+ * greeting message), producing a 300 DPI PNG or PDF ready for the printer.
+ *
+ * Template geometry is in millimetres; text sizes are in points.
+ * Text is rendered by Pango through sharp, so Thai and mixed-script strings
+ * are shaped correctly. The default font is the bundled Noto Sans Thai
+ * (fonts/, OFL), since print machines rarely have a Thai font installed;
+ * CARD_FONT_FILE paths are relative to the app directory.
+ */
+const DPI = 300;
+const MM_PER_INCH = 25.4;
+const POINTS_PER_INCH = 72;
+
+function mmToPx(mm) {
+  return Math.round(mm / MM_PER_INCH * DPI);
+}
+
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function createCardCompositor({ templates, config, baseDir, logger }) {
+  const byId = new Map(templates.map(template => [template.id, template]));
+  const defaultTemplateId = config.CARD_TEMPLATE || templates[0].id;
+
+  if (!byId.has(defaultTemplateId)) {
+    throw new Error(`Unknown CARD_TEMPLATE "${defaultTemplateId}"`);
+  }
+
+  // Text values come from config unless the caller overrides them
+  function defaultText() {
+    return {
+      coupleNames: config.COUPLE_NAMES || '',
+      weddingDate: config.WEDDING_DATE || '',
+      hashtag: config.WEDDING_HASHTAG || ''
+    };
+  }
+
+  async function renderText(overlay, value) {
+    const boxWidth = mmToPx(overlay.width);
+    const boxHeight = mmToPx(overlay.height);
+    const font = `${overlay.font || config.CARD_FONT || 'sans-serif'} ${overlay.size}`;
+    const fontFile = overlay.fontFile || config.CARD_FONT_FILE;
+
+    const { data, info } = await sharp({
+      text: {
+        text: `<span foreground="${overlay.color || '#333333'}">${escapeMarkup(value)}</span>`,
+        font,
+        fontfile: fontFile ? path.resolve(baseDir, fontFile) : undefined,
+        width: boxWidth,
+        dpi: DPI,
+        align: overlay.align || 'centre',
+        wrap: 'word-char',
+        rgba: true
+      }
+    }).png().toBuffer({ resolveWithObject: true });
+
+    // Long text that wraps past its box is scaled down rather than spilling over the photo
+    if (info.height > boxHeight) {
+      return renderScaled(overlay, data, boxWidth, boxHeight);
+    }
+
+    return placeInBox(overlay, data, info, boxWidth, boxHeight);
+  }
+
+  async function renderScaled(overlay, data, boxWidth, boxHeight) {
+    const { data: scaled, info } = await sharp(data)
+      .resize({ width: boxWidth, height: boxHeight, fit: 'inside' })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    return placeInBox(overlay, scaled, info, boxWidth, boxHeight);
+  }
+
+  // Sharp trims rendered text to its ink box, so position it inside the template box
+  function placeInBox(overlay, data, info, boxWidth, boxHeight) {
+    const align = overlay.align || 'centre';
+    let offsetX = Math.round((boxWidth - info.width) / 2);
+    if (align === 'left') offsetX = 0;
+    if (align === 'right') offsetX = boxWidth - info.width;
+
+    return {
+      input: data,
+      left: mmToPx(overlay.x) + Math.max(0, offsetX),
+      top: mmToPx(overlay.y) + Math.max(0, Math.round((boxHeight - info.height) / 2))
+    };
+  }
+
+  async function renderPng(template, photo, text) {
+    const width = mmToPx(template.widthMm);
+    const height = mmToPx(template.heightMm);
+
+    const photoBuffer = await sharp(photo)
+      .rotate()
+      .resize(mmToPx(template.photo.width), mmToPx(template.photo.height), { fit: 'cover', position: 'attention' })
+      .toBuffer();
+
+    const layers = [{ input: photoBuffer, left: mmToPx(template.photo.x), top: mmToPx(template.photo.y) }];
+
+    for (const overlay of template.text || []) {
+      const value = text[overlay.field];
+      if (value) {
+        layers.push(await renderText(overlay, value));
+      }
+    }
+
+    return sharp({
+      create: { width, height, channels: 3, background: template.background || '#ffffff' }
+    })
+      .composite(layers)
+      .withMetadata({ density: DPI })
+      .png()
+      .toBuffer();
+  }
+
+  function renderPdf(template, png) {
+    const size = [
+      template.widthMm / MM_PER_INCH * POINTS_PER_INCH,
+      template.heightMm / MM_PER_INCH * POINTS_PER_INCH
+    ];
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size, margin: 0, info: { Title: 'Wedding Greeting Card' } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      doc.image(png, 0, 0, { width: size[0], height: size[1] });
+      doc.end();
+    });
+  }
+
+  /**
+   * Compose a print-ready card.
+   * @param {Buffer} photo - source image
+   * @param {Object} [options]
+   * @param {string} [options.templateId] - defaults to CARD_TEMPLATE
+   * @param {string} [options.format] - 'png' or 'pdf', defaults to CARD_OUTPUT_FORMAT
+   * @param {Object} [options.text] - message, plus overrides for coupleNames, weddingDate, hashtag
+   * @returns {Promise<{ buffer: Buffer, mimeType: string, extension: string }>}
+   */
+  async function compose(photo, { templateId = defaultTemplateId, format = config.CARD_OUTPUT_FORMAT || 'png', text = {} } = {}) {
+    const template = byId.get(templateId);
+    if (!template) {
+      throw new Error(`Unknown card template "${templateId}"`);
+    }
+
+    const png = await renderPng(template, photo, { ...defaultText(), ...text });
+    logger.debug('Card composed', { templateId, format });
+
+    if (format === 'pdf') {
+      return { buffer: await renderPdf(template, png), mimeType: 'application/pdf', extension: 'pdf' };
+    }
+    return { buffer: png, mimeType: 'image/png', extension: 'png' };
+  }
+
+  function listTemplates() {
+    return templates.map(({ id, name, widthMm, heightMm }) => ({ id, name, widthMm, heightMm, default: id === defaultTemplateId }));
+  }
+
+  return { compose, listTemplates };
+}
+
+module.exports = { createCardCompositor };
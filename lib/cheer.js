@@ -0,0 +1,162 @@
+/**
+ * "Shake to cheer" rounds.
+ * While a moderator has a round running, guest phones post their shake
+ * intensity a couple of times per second. Samples are summed into one room
+ * energy value per tick, kept as a short history for the big-screen chart,
+ * and accumulated per device for the top-shaker leaderboard.
+ *
+ * Events on `events`:
+ *   state  { active, roundId, startedAt, endedAt }   round started or stopped
+ *   tick   { energy, level, participants, history, leaderboard }
+ *
+ * Every open /cheer screen and guest page listens, so there is no listener
+ * limit. A round tracks at most `maxDevices` phones; once full, a new phone
+ * takes the place of the lowest scorer that stopped shaking.
+ */
+const { EventEmitter } = require('events');
+
+const MAX_INTENSITY = 60;       // m/s², clamps phones that report nonsense
+const FULL_METER_INTENSITY = 30; // average intensity that fills the meter
+const MAX_NAME_LENGTH = 24;
+const LEADERBOARD_SIZE = 10;
+
+function createCheerRounds({ logger, tickMs = 500, historyLength = 120, deviceTimeoutMs = 2000, maxDevices = 2000 }) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const devices = new Map();
+  let round = { active: false, roundId: 0, startedAt: null, endedAt: null };
+  let history = [];
+  let pending = new Map(); // deviceId -> intensities received since the last tick
+  let timer = null;
+
+  function getState() {
+    return { ...round };
+  }
+
+  function getLeaderboard() {
+    return [...devices.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, LEADERBOARD_SIZE)
+      .map(device => ({
+        name: device.name,
+        score: Math.round(device.score),
+        peak: Math.round(device.peak)
+      }));
+  }
+
+  function getSnapshot() {
+    const now = Date.now();
+    const active = [...devices.values()].filter(device => now - device.lastSeenAt <= deviceTimeoutMs);
+    const energy = active.reduce((sum, device) => sum + device.intensity, 0);
+    const average = active.length > 0 ? energy / active.length : 0;
+
+    return {
+      energy: Math.round(energy),
+      level: Math.min(1, average / FULL_METER_INTENSITY),
+      participants: active.length,
+      history,
+      leaderboard: getLeaderboard()
+    };
+  }
+
+  // Fold the samples of the last tick into each device and the room history
+  function tick() {
+    const seconds = tickMs / 1000;
+
+    for (const [deviceId, samples] of pending) {
+      const device = devices.get(deviceId);
+      const intensity = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+      device.intensity = intensity;
+      device.score += intensity * seconds;
+      device.peak = Math.max(device.peak, ...samples);
+    }
+    pending = new Map();
+
+    // Devices that stopped reporting no longer add to the meter
+    const now = Date.now();
+    for (const device of devices.values()) {
+      if (now - device.lastSeenAt > deviceTimeoutMs) device.intensity = 0;
+    }
+
+    const snapshot = getSnapshot();
+    history = [...history, snapshot.energy].slice(-historyLength);
+    snapshot.history = history;
+    events.emit('tick', snapshot);
+  }
+
+  function start() {
+    if (round.active) return getState();
+
+    devices.clear();
+    pending = new Map();
+    history = [];
+    round = { active: true, roundId: round.roundId + 1, startedAt: new Date(), endedAt: null };
+    timer = setInterval(tick, tickMs);
+
+    logger.info('Cheer round started', { roundId: round.roundId });
+    events.emit('state', getState());
+    return getState();
+  }
+
+  function stop() {
+    if (!round.active) return getState();
+
+    clearInterval(timer);
+    timer = null;
+    tick();
+    round = { ...round, active: false, endedAt: new Date() };
+
+    logger.info('Cheer round stopped', { roundId: round.roundId, participants: devices.size, leader: getLeaderboard()[0] || null });
+    events.emit('state', getState());
+    return getState();
+  }
+
+  // Make room for a new phone; false when every tracked phone is still shaking
+  function evictIdleDevice() {
+    const now = Date.now();
+    let lowest = null;
+    for (const [deviceId, device] of devices) {
+      if (now - device.lastSeenAt <= deviceTimeoutMs || pending.has(deviceId)) continue;
+      if (!lowest || device.score < lowest.score) lowest = { deviceId, score: device.score };
+    }
+    if (!lowest) return false;
+    devices.delete(lowest.deviceId);
+    return true;
+  }
+
+  /**
+   * Record one batch from a phone. Returns false when no round is running.
+   * @param {{ deviceId: string, name?: string, intensity: number }} sample
+   */
+  function addSample({ deviceId, name, intensity }) {
+    if (!round.active) return false;
+
+    const value = Math.min(MAX_INTENSITY, Math.max(0, intensity));
+    let device = devices.get(deviceId);
+    if (!device) {
+      if (devices.size >= maxDevices && !evictIdleDevice()) {
+        logger.warn('Cheer round is full, sample dropped', { roundId: round.roundId, devices: devices.size });
+        return true;
+      }
+      device = { name: '', intensity: 0, score: 0, peak: 0, lastSeenAt: 0 };
+      devices.set(deviceId, device);
+    }
+    device.name = (name || '').trim().slice(0, MAX_NAME_LENGTH) || device.name || 'Guest';
+    device.lastSeenAt = Date.now();
+
+    if (!pending.has(deviceId)) pending.set(deviceId, []);
+    pending.get(deviceId).push(value);
+    return true;
+  }
+
+  return {
+    events,
+    start,
+    stop,
+    addSample,
+    getState,
+    getSnapshot
+  };
+}
+
+module.exports = { createCheerRounds };
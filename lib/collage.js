@@ -0,0 +1,110 @@
+const sharp = require('sharp');
+
+/**
+ * Collage layouts for 2-4 photos in the square photo area of a card.
+ * Cells are fractions of the canvas so the guest page can draw the same
+ * layout as a preview inside the polaroid frame.
+ */
+const LAYOUTS = [
+  {
+    id: 'side-by-side',
+    name: 'Side by side',
+    photos: 2,
+    cells: [{ x: 0, y: 0, width: 0.5, height: 1 }, { x: 0.5, y: 0, width: 0.5, height: 1 }]
+  },
+  {
+    id: 'stacked',
+    name: 'Stacked',
+    photos: 2,
+    cells: [{ x: 0, y: 0, width: 1, height: 0.5 }, { x: 0, y: 0.5, width: 1, height: 0.5 }]
+  },
+  {
+    id: 'feature-left',
+    name: 'Big left',
+    photos: 3,
+    cells: [
+      { x: 0, y: 0, width: 0.6, height: 1 },
+      { x: 0.6, y: 0, width: 0.4, height: 0.5 },
+      { x: 0.6, y: 0.5, width: 0.4, height: 0.5 }
+    ]
+  },
+  {
+    id: 'feature-top',
+    name: 'Big top',
+    photos: 3,
+    cells: [
+      { x: 0, y: 0, width: 1, height: 0.6 },
+      { x: 0, y: 0.6, width: 0.5, height: 0.4 },
+      { x: 0.5, y: 0.6, width: 0.5, height: 0.4 }
+    ]
+  },
+  {
+    id: 'grid',
+    name: 'Grid',
+    photos: 4,
+    cells: [
+      { x: 0, y: 0, width: 0.5, height: 0.5 },
+      { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+      { x: 0, y: 0.5, width: 0.5, height: 0.5 },
+      { x: 0.5, y: 0.5, width: 0.5, height: 0.5 }
+    ]
+  },
+  {
+    id: 'feature-top-3',
+    name: 'Big top, three below',
+    photos: 4,
+    cells: [
+      { x: 0, y: 0, width: 1, height: 0.6 },
+      { x: 0, y: 0.6, width: 1 / 3, height: 0.4 },
+      { x: 1 / 3, y: 0.6, width: 1 / 3, height: 0.4 },
+      { x: 2 / 3, y: 0.6, width: 1 / 3, height: 0.4 }
+    ]
+  }
+];
+
+const CANVAS_SIZE = 2048;
+const GAP = 24;
+
+function getLayout(id, photoCount) {
+  return LAYOUTS.find(layout => layout.id === id && layout.photos === photoCount) || null;
+}
+
+// Cell in pixels; only inner edges give up half a gap, outer edges stay flush
+function cellRect(cell) {
+  const edge = (fraction, inset) => {
+    if (fraction <= 0) return 0;
+    if (fraction >= 1) return CANVAS_SIZE;
+    return Math.round(fraction * CANVAS_SIZE + inset);
+  };
+
+  const left = edge(cell.x, GAP / 2);
+  const top = edge(cell.y, GAP / 2);
+  const right = edge(cell.x + cell.width, -GAP / 2);
+  const bottom = edge(cell.y + cell.height, -GAP / 2);
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Lay the photos out in the given layout.
+ * @param {Buffer[]} photos in cell order
+ * @returns {Promise<Buffer>} square JPEG
+ */
+async function composeCollage(photos, layout) {
+  const tiles = await Promise.all(layout.cells.map(async (cell, i) => {
+    const rect = cellRect(cell);
+    const input = await sharp(photos[i])
+      .rotate()
+      .resize(rect.width, rect.height, { fit: 'cover', position: sharp.strategy.attention })
+      .toBuffer();
+    return { input, left: rect.left, top: rect.top };
+  }));
+
+  return sharp({
+    create: { width: CANVAS_SIZE, height: CANVAS_SIZE, channels: 3, background: '#ffffff' }
+  })
+    .composite(tiles)
+    .jpeg({ quality: 92 })
+    .toBuffer();
+}
+
+module.exports = { LAYOUTS, getLayout, composeCollage };
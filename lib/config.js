@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+/**
+ * config.json, credentials.json and card-templates.json, validated on load.
+ *
+ * Every config.json key is listed in SCHEMA with its type and default. A key
+ * can also be set through an environment variable of the same name, which
+ * wins over the file (booleans as true/false, lists as JSON or comma
+ * separated, objects as JSON). Credentials come from credentials.json or from
+ * GEMINI_API_KEY, GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and
+ * GOOGLE_REDIRECT_URI, so secrets do not have to live on disk.
+ *
+ * Startup fails with one error listing every problem. Later edits of
+ * config.json are applied to the same `config` object without a restart,
+ * except keys marked `restart` (read once when the server builds its
+ * queues, storage and limits), which keep their running value until then.
+ * A file that fails validation is logged and ignored.
+ *
+ * A 'change' event with the list of applied keys is emitted on `events`.
+ */
+const RELOAD_DEBOUNCE_MS = 300;
+
+const limit = { type: 'integer', min: 0, default: 0 };
+const routeLimits = { type: 'object', shape: { perIp: limit, perDevice: limit } };
+
+const SCHEMA = {
+  GOOGLE_DRIVE_QUEUE_FOLDER_ID: { type: 'string', default: '', restart: true },
+  GOOGLE_DRIVE_PROCESSED_FOLDER_ID: { type: 'string', default: '', restart: true },
+  GOOGLE_DRIVE_REJECTED_FOLDER_ID: { type: 'string', default: '', restart: true },
+  GOOGLE_DRIVE_SCOPE: { type: 'string', values: ['drive.file', 'drive'], default: 'drive.file' },
+  ENABLE_UPLOAD_IMAGE: { type: 'boolean', default: false },
+  ENABLE_AI_OPTIMIZATION: { type: 'boolean', default: true },
+  UPLOAD_MAX_FILE_SIZE_MB: { type: 'integer', min: 1, default: 25, restart: true },
+  UPLOAD_MAX_DIMENSION: { type: 'integer', min: 256, default: 4096, restart: true },
+  IMAGE_FALLBACK_PROVIDERS: { type: 'list', default: ['local'], restart: true },
+  IMAGE_PROVIDER_COOLDOWN_MS: { type: 'integer', min: 0, default: 60000, restart: true },
+  OPTIMIZE_CONCURRENCY: { type: 'integer', min: 1, default: 2, restart: true },
+  OPTIMIZE_TIMEOUT_MS: { type: 'integer', min: 1000, default: 90000, restart: true },
+  OPTIMIZE_MAX_RETRIES: { type: 'integer', min: 0, default: 2, restart: true },
+  OPTIMIZE_RETRY_BASE_MS: { type: 'integer', min: 0, default: 1000, restart: true },
+  OPTIMIZE_MAX_QUEUED: { type: 'integer', min: 1, default: 200, restart: true },
+  OPTIMIZE_CACHE_DIR: { type: 'string', default: 'cache/optimized', restart: true },
+  OPTIMIZE_CACHE_MAX_ENTRIES: { type: 'integer', min: 0, default: 1000, restart: true },
+  RATE_LIMIT_WINDOW_MS: { type: 'integer', min: 1000, default: 60000, restart: true },
+  RATE_LIMITS: { type: 'object', shape: { optimize: routeLimits, upload: routeLimits, cheer: routeLimits }, restart: true },
+  GUEST_QUOTAS: { type: 'object', shape: { optimize: limit, print: limit }, restart: true },
+  GUEST_IP_QUOTAS: { type: 'object', shape: { optimize: limit, print: limit }, restart: true },
+  REQUIRE_APPROVAL: { type: 'boolean', default: false, restart: true },
+  ADMIN_PASSWORD: { type: 'string', default: '' },
+  STORAGE_BACKEND: { type: 'string', values: ['google-drive', 'local'], default: 'google-drive', restart: true },
+  LOCAL_STORAGE_DIR: { type: 'string', default: 'storage', restart: true },
+  EVENTS_FILE: { type: 'string', default: 'data/events.json', restart: true },
+  STYLE_HISTORY_FILE: { type: 'string', default: 'data/style-history.json', restart: true },
+  PRINT_QUEUE_ENABLED: { type: 'boolean', default: false, restart: true },
+  PRINT_POLL_INTERVAL_MS: { type: 'integer', min: 1000, default: 10000, restart: true },
+  PRINT_MAX_RETRIES: { type: 'integer', min: 0, default: 3, restart: true },
+  PRINT_COMMAND: { type: 'string', default: '', restart: true },
+  PRINT_COMMAND_ARGS: { type: 'list', default: [], restart: true },
+  CARD_COMPOSE_ON_PRINT: { type: 'boolean', default: true },
+  CARD_TEMPLATE: { type: 'string', default: 'polaroid', restart: true },
+  CARD_OUTPUT_FORMAT: { type: 'string', values: ['png', 'pdf'], default: 'png' },
+  CARD_FONT: { type: 'string', default: 'Noto Sans Thai' },
+  CARD_FONT_FILE: { type: 'string', default: 'fonts/NotoSansThai-Regular.ttf' },
+  COUPLE_NAMES: { type: 'string', default: '' },
+  WEDDING_DATE: { type: 'string', default: '' },
+  WEDDING_HASHTAG: { type: 'string', default: '' },
+  GREETING_MESSAGE_MAX_LENGTH: { type: 'integer', min: 1, default: 200 },
+  WALL_TRANSITION_MS: { type: 'integer', min: 1000, default: 8000 },
+  WALL_LAYOUT: { type: 'string', values: ['slideshow', 'mosaic'], default: 'slideshow' },
+  WALL_SHOW_MESSAGES: { type: 'boolean', default: true },
+  LOG_FORMAT: { type: 'string', values: ['text', 'json'], default: 'text' },
+  LOG_RETENTION_DAYS: { type: 'integer', min: 1, default: 14 }
+};
+
+// Environment variable -> credentials.json field (under "installed")
+const CREDENTIAL_ENV = {
+  GEMINI_API_KEY: 'gemini_api_key',
+  GOOGLE_CLIENT_ID: 'client_id',
+  GOOGLE_CLIENT_SECRET: 'client_secret'
+};
+
+function readJson(file, { optional = false } = {}) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && optional) return undefined;
+    throw new Error(error.code === 'ENOENT' ? `${path.basename(file)} not found in ${path.dirname(file)}` : error.message);
+  }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${path.basename(file)} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Environment variables are strings; read them as the type the key expects
+function fromEnv(value, rule) {
+  const text = value.trim();
+  if (rule.type === 'boolean') {
+    if (/^(true|1|yes)$/i.test(text)) return true;
+    if (/^(false|0|no)$/i.test(text)) return false;
+    return text;
+  }
+  if (rule.type === 'integer') return text === '' ? text : Number(text);
+  if (rule.type === 'list') {
+    if (text.startsWith('[')) return JSON.parse(text);
+    return text ? text.split(',').map(item => item.trim()) : [];
+  }
+  if (rule.type === 'object') return JSON.parse(text);
+  return value;
+}
+
+// Returns the value with defaults filled in; problems are pushed to `errors`
+function validate(value, rule, name, errors) {
+  if (value === undefined || value === null) {
+    if (rule.type !== 'object') return rule.default;
+    value = {};
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${name} must be a string`);
+      } else if (rule.values && !rule.values.includes(value)) {
+        errors.push(`${name} must be one of ${rule.values.join(', ')} (got "${value}")`);
+      }
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${name} must be true or false`);
+      return value;
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        errors.push(`${name} must be a whole number`);
+      } else if (value < rule.min) {
+        errors.push(`${name} must be at least ${rule.min}`);
+      }
+      return value;
+    case 'list':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        errors.push(`${name} must be a list of strings`);
+      }
+      return value;
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${name} must be an object`);
+        return value;
+      }
+      const result = {};
+      for (const [key, child] of Object.entries(rule.shape)) {
+        result[key] = validate(value[key], child, `${name}.${key}`, errors);
+      }
+      for (const key of Object.keys(value)) {
+        if (!rule.shape[key]) errors.push(`${name}.${key} is not a known setting`);
+      }
+      return result;
+    }
+  }
+}
+
+function createConfig({ dir, env = process.env, logger }) {
+  const configFile = path.join(dir, 'config.json');
+  const credentialsFile = path.join(dir, 'credentials.json');
+  const events = new EventEmitter();
+  const envKeys = Object.keys(SCHEMA).filter(key => env[key] !== undefined);
+
+  // config.json plus environment overrides, with every problem in one error
+  function parse(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('config.json must contain an object');
+    }
+
+    const unknown = Object.keys(raw).filter(key => !SCHEMA[key]);
+    if (unknown.length > 0) {
+      logger.warn('Unknown config.json keys ignored', { keys: unknown });
+    }
+
+    const result = {};
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+      let value = raw[key];
+      if (envKeys.includes(key)) {
+        try {
+          value = fromEnv(env[key], rule);
+        } catch (error) {
+          errors.push(`${key} (environment) is not valid JSON: ${error.message}`);
+          continue;
+        }
+      }
+      result[key] = validate(value, rule, envKeys.includes(key) ? `${key} (environment)` : key, errors);
+    }
+
+    // Not an error: with drive.file the folders can only be created from /admin once the server runs
+    if (result.STORAGE_BACKEND === 'google-drive' && !result.GOOGLE_DRIVE_QUEUE_FOLDER_ID) {
+      logger.warn('GOOGLE_DRIVE_QUEUE_FOLDER_ID is empty, uploads fail until the Drive folders are set (Create Drive folders in /admin)');
+    }
+
+    if (result.REQUIRE_APPROVAL && !result.ADMIN_PASSWORD) {
+      errors.push('ADMIN_PASSWORD is required when REQUIRE_APPROVAL is on, nothing could be approved without the dashboard');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+    return result;
+  }
+
+  function loadCredentials(settings) {
+    const file = readJson(credentialsFile, { optional: true });
+    // Desktop OAuth clients download as "installed", web application clients as "web"
+    const installed = { ...(file?.installed || file?.web) };
+    for (const [name, field] of Object.entries(CREDENTIAL_ENV)) {
+      if (env[name]) installed[field] = env[name];
+    }
+    if (env.GOOGLE_REDIRECT_URI) {
+      installed.redirect_uris = [env.GOOGLE_REDIRECT_URI, ...(installed.redirect_uris || [])];
+    }
+
+    if (settings.STORAGE_BACKEND === 'google-drive' && !(installed.client_id && installed.client_secret)) {
+      throw new Error(file
+        ? 'credentials.json has no installed.client_id / installed.client_secret, which Google Drive storage needs'
+        : 'credentials.json not found. Copy credentials.json.sample, or set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET');
+    }
+    if (!installed.gemini_api_key) {
+      logger.warn('No Gemini API key configured (credentials.json or GEMINI_API_KEY), styles fall back to the local provider');
+    }
+    return { installed };
+  }
+
+  function loadCardTemplates(settings) {
+    const templates = readJson(path.join(dir, 'card-templates.json'));
+    if (!Array.isArray(templates) || templates.length === 0 || templates.some(template => typeof template?.id !== 'string')) {
+      throw new Error('card-templates.json must contain a list of templates, each with an id');
+    }
+    if (!templates.some(template => template.id === settings.CARD_TEMPLATE)) {
+      throw new Error(`CARD_TEMPLATE "${settings.CARD_TEMPLATE}" is not in card-templates.json`);
+    }
+    return templates;
+  }
+
+  const config = parse(readJson(configFile));
+  const credentials = loadCredentials(config);
+  const cardTemplates = loadCardTemplates(config);
+  if (envKeys.length > 0) {
+    logger.info('Config overridden by environment', { keys: envKeys });
+  }
+
+  // Editors often replace the file instead of writing it, so watch the directory
+  let reloadTimer = null;
+  const watcher = fs.watch(dir, (eventType, filename) => {
+    if (filename !== path.basename(configFile)) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+  });
+  watcher.on('error', error => logger.warn('Config file watcher failed', { error: error.message }));
+
+  function reload() {
+    let next;
+    try {
+      next = parse(readJson(configFile));
+    } catch (error) {
+      logger.error('config.json rejected, keeping the running configuration', { error: error.message });
+      return;
+    }
+
+    const changed = Object.keys(SCHEMA).filter(key => JSON.stringify(next[key]) !== JSON.stringify(config[key]));
+    const pending = changed.filter(key => SCHEMA[key].restart);
+    const applied = changed.filter(key => !SCHEMA[key].restart);
+
+    if (pending.length > 0) {
+      logger.warn('Config changes take effect after a restart', { keys: pending });
+    }
+    if (applied.length === 0) return;
+
+    // Same object, so every module holding `config` sees the new values
+    for (const key of applied) config[key] = next[key];
+    logger.info('Config reloaded', { keys: applied });
+    events.emit('change', applied);
+  }
+
+  function close() {
+    clearTimeout(reloadTimer);
+    watcher.close();
+  }
+
+  return { config, credentials, cardTemplates, events, close };
+}
+
+module.exports = { createConfig };
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Weddings served by this server, stored in a JSON data file (EVENTS_FILE)
+ * so a new event is a form in /admin instead of a fork of the repo.
+ * Each event is reached at /e/:slug and overrides parts of config.json:
+ *
+ *   {
+ *     "slug": "nok-and-somchai",
+ *     "name": "Nok & Somchai",
+ *     "coupleNames": "Nok & Somchai",        card text, like COUPLE_NAMES
+ *     "weddingDate": "12.12.2026",
+ *     "hashtag": "#NokSomchai",
+ *     "uploadsEnabled": true,                initial moderator switches
+ *     "optimizationEnabled": true,
+ *     "styleIds": ["watercolor"],            subset of image-style-prompts.json, [] = all
+ *     "theme": { "accent", "gradientStart", "gradientEnd", "backgroundImage" },
+ *     "messages": { "title", "subtitle", "messagePlaceholder", "uploadSuccess", "printed" },
+ *     "drive": { "queueFolderId", "processedFolderId", "rejectedFolderId" }
+ *   }
+ *
+ * With the local storage backend each event gets its own subdirectory, so
+ * `drive` only matters for Google Drive.
+ *
+ * Events that no longer validate at startup (e.g. a style was deleted since)
+ * are logged and left out, but kept in the file so they can be fixed by hand.
+ * A file that is not a JSON list is moved aside to EVENTS_FILE.invalid.
+ */
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,46}[a-z0-9])?$/;
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+const DRIVE_ID_PATTERN = /^[A-Za-z0-9_-]*$/;
+
+const TEXT_FIELDS = { name: 100, coupleNames: 100, weddingDate: 50, hashtag: 50 };
+const THEME_COLORS = ['accent', 'gradientStart', 'gradientEnd'];
+const MESSAGE_FIELDS = ['title', 'subtitle', 'messagePlaceholder', 'uploadSuccess', 'printed'];
+const MAX_MESSAGE_LENGTH = 500;
+const DRIVE_FIELDS = ['queueFolderId', 'processedFolderId', 'rejectedFolderId'];
+
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function optionalString(value, field, maxLength) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') throw invalid(`${field} must be a string`);
+  if (value.length > maxLength) throw invalid(`${field} must be at most ${maxLength} characters`);
+  return value.trim();
+}
+
+/**
+ * Validate an event as submitted by the dashboard and return the stored shape.
+ * @param {Object} input
+ * @param {function(string): boolean} hasStyle - whether the style catalog has this id
+ * @param {boolean} requireDrive - queue and processed folders are mandatory on Google Drive
+ */
+function normalizeEvent(input, hasStyle, requireDrive) {
+  if (!input || typeof input !== 'object') throw invalid('Event must be an object');
+
+  const slug = typeof input.slug === 'string' ? input.slug.trim().toLowerCase() : '';
+  if (!SLUG_PATTERN.test(slug)) {
+    throw invalid('Slug must be 1-48 lowercase letters, digits or dashes');
+  }
+
+  const event = { slug };
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    event[field] = optionalString(input[field], field, maxLength);
+  }
+  event.name = event.name || slug;
+  event.uploadsEnabled = input.uploadsEnabled !== false;
+  event.optimizationEnabled = input.optimizationEnabled !== false;
+
+  const selected = input.styleIds || [];
+  if (!Array.isArray(selected) || selected.some(id => typeof id !== 'string')) {
+    throw invalid('styleIds must be a list of style ids');
+  }
+  const unknown = selected.filter(id => !hasStyle(id));
+  if (unknown.length > 0) throw invalid(`Unknown style ids: ${unknown.join(', ')}`);
+  event.styleIds = [...new Set(selected)];
+
+  const theme = input.theme || {};
+  event.theme = {};
+  for (const field of THEME_COLORS) {
+    if (!theme[field]) continue;
+    if (!COLOR_PATTERN.test(theme[field])) throw invalid(`theme.${field} must be a hex color like #c5a403`);
+    event.theme[field] = theme[field];
+  }
+  if (theme.backgroundImage) {
+    const url = optionalString(theme.backgroundImage, 'theme.backgroundImage', 500);
+    if (!/^(https:\/\/|\/)[^\s"'()]*$/.test(url)) {
+      throw invalid('theme.backgroundImage must be an https URL or a path starting with /');
+    }
+    event.theme.backgroundImage = url;
+  }
+
+  const messages = input.messages || {};
+  event.messages = {};
+  for (const field of MESSAGE_FIELDS) {
+    const value = optionalString(messages[field], `messages.${field}`, MAX_MESSAGE_LENGTH);
+    if (value) event.messages[field] = value;
+  }
+
+  const drive = input.drive || {};
+  event.drive = {};
+  for (const field of DRIVE_FIELDS) {
+    const value = optionalString(drive[field], `drive.${field}`, 100);
+    if (!DRIVE_ID_PATTERN.test(value)) throw invalid(`drive.${field} is not a Google Drive folder id`);
+    event.drive[field] = value;
+  }
+  if (requireDrive && (!event.drive.queueFolderId || !event.drive.processedFolderId)) {
+    throw invalid('Google Drive queue and processed folder ids are required (Create Drive folders fills them in)');
+  }
+
+  return event;
+}
+
+function createEventRegistry({ file, hasStyle, requireDrive = false, logger }) {
+  const events = new Map();
+  let skipped = []; // stored entries that failed validation, written back untouched
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!Array.isArray(stored)) throw new Error('expected a list of events');
+    } catch (error) {
+      fs.renameSync(file, `${file}.invalid`);
+      logger.error('Events file is unreadable, starting without events', { file, movedTo: `${file}.invalid`, error: error.message });
+      return;
+    }
+
+    for (const entry of stored) {
+      try {
+        const event = normalizeEvent(entry, hasStyle, requireDrive);
+        events.set(event.slug, { ...event, createdAt: entry.createdAt, updatedAt: entry.updatedAt });
+      } catch (error) {
+        skipped.push(entry);
+        logger.error('Skipping invalid event', { slug: entry && entry.slug, error: error.message });
+      }
+    }
+  }
+
+  load();
+
+  // Write to a temp file first so a crash never leaves half a file behind
+  async function persist() {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const temp = `${file}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify([...events.values(), ...skipped], null, 2) + '\n');
+    await fs.promises.rename(temp, file);
+  }
+
+  function get(slug) {
+    return events.get(slug) || null;
+  }
+
+  function list() {
+    return [...events.values()];
+  }
+
+  async function create(input) {
+    const event = normalizeEvent(input, hasStyle, requireDrive);
+    if (events.has(event.slug)) {
+      throw Object.assign(new Error(`An event with slug "${event.slug}" already exists`), { status: 409 });
+    }
+
+    const now = new Date().toISOString();
+    events.set(event.slug, { ...event, createdAt: now, updatedAt: now });
+    // A new event replaces a broken one left under the same slug
+    skipped = skipped.filter(entry => !entry || entry.slug !== event.slug);
+    await persist();
+    logger.info('Event created', { slug: event.slug });
+    return events.get(event.slug);
+  }
+
+  // The slug is the address guests have on their QR codes, so it never changes
+  async function update(slug, input) {
+    const current = events.get(slug);
+    if (!current) {
+      throw Object.assign(new Error('Event not found'), { status: 404 });
+    }
+
+    const event = normalizeEvent({ ...input, slug }, hasStyle, requireDrive);
+    events.set(slug, { ...event, createdAt: current.createdAt, updatedAt: new Date().toISOString() });
+    await persist();
+    logger.info('Event updated', { slug });
+    return events.get(slug);
+  }
+
+  async function remove(slug) {
+    if (!events.delete(slug)) {
+      throw Object.assign(new Error('Event not found'), { status: 404 });
+    }
+    await persist();
+    logger.info('Event deleted', { slug });
+  }
+
+  return { get, list, create, update, remove };
+}
+
+module.exports = { createEventRegistry };
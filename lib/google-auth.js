@@ -0,0 +1,164 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { google } = require('googleapis');
+
+/**
+ * Google account behind Drive storage, connected from /admin.
+ *
+ * The moderator opens /admin/google/connect, signs in with Google and lands
+ * on /admin/google/callback, which stores the tokens in token.json. The
+ * authorization code flow needs a redirect URI registered on the OAuth client
+ * (see googleRedirectUri in server.js); the copy-paste flow generate-token.js used
+ * is no longer accepted by Google.
+ *
+ * GOOGLE_DRIVE_SCOPE picks the access asked for: 'drive.file' (default) only
+ * reaches files and folders this app created, so the folders are made with
+ * "Create Drive folders" in /admin (createDriveFolders). 'drive' reaches the
+ * whole Drive and is only needed for folders created by hand in the Drive UI.
+ *
+ * Refreshed access tokens are written back to token.json.
+ */
+const SCOPES = {
+  'drive.file': 'https://www.googleapis.com/auth/drive.file',
+  drive: 'https://www.googleapis.com/auth/drive'
+};
+// A sign-in that takes longer than this has to start over
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+function createGoogleAuth({ config, credentials, tokenPath, logger }) {
+  const pending = new Map(); // state -> { redirectUri, returnTo, expiresAt }
+  let client = null;
+
+  function configured() {
+    return Boolean(credentials.installed.client_id && credentials.installed.client_secret);
+  }
+
+  function oauthClient(redirectUri) {
+    const { client_id, client_secret } = credentials.installed;
+    return new google.auth.OAuth2(client_id, client_secret, redirectUri);
+  }
+
+  function readToken() {
+    if (!fs.existsSync(tokenPath)) return null;
+    return JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+  }
+
+  function writeToken(token) {
+    fs.writeFileSync(tokenPath, JSON.stringify(token, null, 2), { mode: 0o600 });
+  }
+
+  // Authorized client for Drive calls, shared until the account changes
+  function getClient() {
+    if (client) return client;
+
+    const token = readToken();
+    if (!token) {
+      throw Object.assign(new Error('Google Drive is not connected. Connect an account from /admin.'), { status: 503 });
+    }
+
+    client = oauthClient();
+    client.setCredentials(token);
+    client.on('tokens', (newTokens) => {
+      Object.assign(token, newTokens);
+      writeToken(token);
+      logger.info('Google Drive token refreshed and saved');
+    });
+    return client;
+  }
+
+  /**
+   * Google sign-in URL for the moderator's browser.
+   * @param {Object} options
+   * @param {string} options.redirectUri - our callback, as registered on the OAuth client
+   * @param {string} options.returnTo - dashboard to go back to afterwards
+   */
+  function start({ redirectUri, returnTo }) {
+    if (!configured()) {
+      throw Object.assign(new Error('No Google OAuth client configured. Add it to credentials.json or set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.'), { status: 503 });
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of pending) {
+      if (entry.expiresAt < now) pending.delete(key);
+    }
+
+    // Ties the callback to a sign-in this server started (CSRF)
+    const state = crypto.randomBytes(16).toString('hex');
+    pending.set(state, { redirectUri, returnTo, expiresAt: now + STATE_TTL_MS });
+
+    return oauthClient(redirectUri).generateAuthUrl({
+      access_type: 'offline',
+      // Without consent Google only sends a refresh token on the first sign-in
+      prompt: 'consent',
+      scope: [SCOPES[config.GOOGLE_DRIVE_SCOPE]],
+      state
+    });
+  }
+
+  /**
+   * Trade the callback's code for tokens and save them.
+   * Returns the dashboard to go back to; errors carry it as `returnTo` too.
+   */
+  async function finish({ state, code, error }) {
+    const entry = pending.get(state);
+    pending.delete(state);
+    if (!entry || entry.expiresAt < Date.now()) {
+      throw Object.assign(new Error('This Google sign-in expired or was not started here, please connect again'), { status: 400 });
+    }
+
+    try {
+      if (error) throw new Error(`Google sign-in failed: ${error}`);
+
+      const { tokens } = await oauthClient(entry.redirectUri).getToken(code);
+      writeToken(tokens);
+      client = null;
+      logger.info('Google account connected', { scope: tokens.scope, refreshToken: Boolean(tokens.refresh_token) });
+      return entry.returnTo;
+    } catch (failure) {
+      throw Object.assign(failure, { status: 400, returnTo: entry.returnTo });
+    }
+  }
+
+  // Who is connected and with what access, for the dashboard
+  async function status() {
+    const result = { configured: configured(), requestedScope: config.GOOGLE_DRIVE_SCOPE, connected: false };
+    const token = readToken();
+    if (!token) return result;
+
+    Object.assign(result, {
+      connected: true,
+      account: null,
+      scopes: (token.scope || '').split(' ').filter(Boolean),
+      expiresAt: token.expiry_date ? new Date(token.expiry_date) : null,
+      hasRefreshToken: Boolean(token.refresh_token)
+    });
+
+    try {
+      const drive = google.drive({ version: 'v3', auth: getClient() });
+      const { data } = await drive.about.get({ fields: 'user(displayName, emailAddress)' });
+      result.account = { name: data.user.displayName, email: data.user.emailAddress };
+    } catch (error) {
+      result.error = error.message;
+    }
+    return result;
+  }
+
+  // Revoke at Google as well, so the tokens are useless if token.json was copied
+  async function disconnect() {
+    const token = readToken();
+    if (!token) return;
+
+    try {
+      await oauthClient().revokeToken(token.refresh_token || token.access_token);
+    } catch (error) {
+      logger.warn('Could not revoke the Google token, removing it anyway', { error: error.message });
+    }
+    fs.unlinkSync(tokenPath);
+    client = null;
+    logger.info('Google account disconnected');
+  }
+
+  return { getClient, start, finish, status, disconnect };
+}
+
+module.exports = { createGoogleAuth };
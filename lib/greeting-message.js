@@ -0,0 +1,38 @@
+/**
+ * Sanitizing for the optional greeting message guests type on the upload form.
+ * The message ends up in storage metadata and is rendered onto the printed
+ * card, so only printable text survives: Unicode is NFC-normalized (Thai
+ * vowel and tone marks compose consistently), control characters are
+ * dropped and runs of blank lines are collapsed.
+ */
+const CONTROL_CHARS = /[\u0000-\u0009\u000B-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069]/g; // keeps \n, drops bidi overrides
+
+/**
+ * @param {*} raw - value from the request body
+ * @param {number} maxLength - limit in characters (code points)
+ * @returns {{ message: string } | { error: string, code: string }}
+ */
+function sanitizeGreetingMessage(raw, maxLength) {
+  if (raw === undefined || raw === null) {
+    return { message: '' };
+  }
+  if (typeof raw !== 'string') {
+    return { error: 'Greeting message must be text', code: 'MESSAGE_NOT_TEXT' };
+  }
+
+  const message = raw
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(CONTROL_CHARS, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if ([...message].length > maxLength) {
+    return { error: `Greeting message must be at most ${maxLength} characters`, code: 'MESSAGE_TOO_LONG' };
+  }
+
+  return { message };
+}
+
+module.exports = { sanitizeGreetingMessage };
@@ -0,0 +1,152 @@
+/**
+ * Rate limits and quotas for guest-facing endpoints.
+ *
+ * Rate limits count requests per fixed window, both per IP and per device
+ * token (the X-Device-Token header the guest page sends). Venue Wi-Fi puts
+ * many guests behind one IP, so the per-IP limits should stay well above the
+ * per-device ones.
+ *
+ * Quotas cap what one guest can spend in total: AI generations and prints.
+ * Guests without a device token are counted by IP. The device token is chosen
+ * by the browser, so a guest could mint new ones; GUEST_IP_QUOTAS is a ceiling
+ * for everyone behind one IP on top of that, sized for the venue Wi-Fi. Counts
+ * live in memory and reset when the server restarts.
+ *
+ * Limits and quotas are counted per event (/e/:slug/...), so a guest at two
+ * events gets the full allowance at each.
+ *
+ * Config (a limit of 0 disables it):
+ *   RATE_LIMIT_WINDOW_MS
+ *   RATE_LIMITS          { optimize: { perIp, perDevice }, upload: { perIp, perDevice },
+ *                          cheer: { perIp, perDevice } }   phones send 120 cheer samples a minute
+ *   GUEST_QUOTAS         { optimize, print }
+ *   GUEST_IP_QUOTAS      { optimize, print }
+ */
+const DEVICE_TOKEN_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+function createGuestLimits({ config, logger }) {
+  const windowMs = config.RATE_LIMIT_WINDOW_MS || 60000;
+  const rateLimits = config.RATE_LIMITS || {};
+  const quotas = config.GUEST_QUOTAS || {};
+  const ipQuotas = config.GUEST_IP_QUOTAS || {};
+
+  const windows = new Map(); // "route:event:ip:1.2.3.4" -> { count, resetAt }
+  const usage = new Map();   // guest key -> { optimize, print }
+  const ipUsage = new Map(); // "event:ip" -> { optimize, print }
+
+  // Forget expired windows so the map does not grow all night
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs).unref();
+
+  function deviceToken(req) {
+    const token = req.get('X-Device-Token');
+    return token && DEVICE_TOKEN_PATTERN.test(token) ? token : null;
+  }
+
+  // The event the request is for; slugs never contain ':'
+  function eventScope(req) {
+    const event = req.eventContext && req.eventContext.event;
+    return event ? `event:${event.slug}` : 'default';
+  }
+
+  function guestKey(req) {
+    const token = deviceToken(req);
+    return `${eventScope(req)}:${token ? `device:${token}` : `ip:${req.ip}`}`;
+  }
+
+  // Count one hit; returns the seconds until the window resets if over the limit
+  function hit(key, limit) {
+    if (!limit) return 0;
+
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+    return entry.count > limit ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+  }
+
+  function rateLimit(route) {
+    const { perIp = 0, perDevice = 0 } = rateLimits[route] || {};
+
+    return (req, res, next) => {
+      const token = deviceToken(req);
+      const scope = eventScope(req);
+      const retryAfter = Math.max(
+        hit(`${route}:${scope}:ip:${req.ip}`, perIp),
+        token ? hit(`${route}:${scope}:device:${token}`, perDevice) : 0
+      );
+
+      if (retryAfter > 0) {
+        logger.warn('Rate limit exceeded', { route, ip: req.ip, deviceToken: token, retryAfter });
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: `Too many requests, please wait ${retryAfter} seconds and try again`,
+          code: 'RATE_LIMITED',
+          retryAfter
+        });
+      }
+      next();
+    };
+  }
+
+  function getUsage(key, counts = usage) {
+    if (!counts.has(key)) counts.set(key, { optimize: 0, print: 0 });
+    return counts.get(key);
+  }
+
+  /**
+   * What the guest has left, per quota kind; null means unlimited.
+   * @returns {{ optimize: number|null, print: number|null }}
+   */
+  function remaining(req) {
+    const used = getUsage(guestKey(req));
+    const usedByIp = getUsage(`${eventScope(req)}:${req.ip}`, ipUsage);
+    const result = {};
+    for (const kind of ['optimize', 'print']) {
+      const left = [
+        quotas[kind] ? quotas[kind] - used[kind] : Infinity,
+        ipQuotas[kind] ? ipQuotas[kind] - usedByIp[kind] : Infinity
+      ];
+      result[kind] = left.some(Number.isFinite) ? Math.max(0, Math.min(...left)) : null;
+    }
+    return result;
+  }
+
+  // Middleware that turns the guest away once a quota is used up
+  function requireQuota(kind) {
+    return (req, res, next) => {
+      if (remaining(req)[kind] === 0) {
+        logger.warn('Guest quota exhausted', { kind, guest: guestKey(req), ip: req.ip });
+        return res.status(429).json({
+          error: kind === 'print'
+            ? 'You have used all of your prints for this event'
+            : 'You have used all of your AI generations for this event',
+          code: kind === 'print' ? 'PRINT_QUOTA_EXCEEDED' : 'OPTIMIZE_QUOTA_EXCEEDED',
+          quotaExceeded: kind,
+          remaining: remaining(req)
+        });
+      }
+      next();
+    };
+  }
+
+  // Returns a function that gives the unit back, e.g. when the work failed on our side
+  function consume(req, kind) {
+    const counts = [getUsage(guestKey(req)), getUsage(`${eventScope(req)}:${req.ip}`, ipUsage)];
+    for (const used of counts) used[kind]++;
+    return () => {
+      for (const used of counts) used[kind] = Math.max(0, used[kind] - 1);
+    };
+  }
+
+  return { rateLimit, requireQuota, consume, remaining };
+}
+
+module.exports = { createGuestLimits };
@@ -0,0 +1,51 @@
+const { GoogleGenAI } = require('@google/genai');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash-image';
+
+/**
+ * Google Gemini image provider.
+ * Sends the photo with the style prompt and returns the first image part of
+ * the answer. The API key comes from credentials.json (installed.gemini_api_key)
+ * or the GEMINI_API_KEY environment variable, see lib/config.js.
+ */
+function createGeminiProvider({ credentials }) {
+  const apiKey = credentials.installed?.gemini_api_key;
+  const genAI = apiKey ? new GoogleGenAI({ apiKey }) : null;
+
+  async function generate({ buffer, mimeType, style, signal }) {
+    if (!genAI) {
+      throw new Error('Gemini API key not configured');
+    }
+
+    const response = await genAI.models.generateContent({
+      model: style.model || DEFAULT_MODEL,
+      contents: [
+        { text: style.text },
+        { inlineData: { mimeType, data: buffer.toString('base64') } }
+      ],
+      config: { abortSignal: signal }
+    });
+
+    const imagePart = response.candidates?.[0]?.content?.parts?.find(
+      part => part.inlineData?.mimeType?.startsWith('image/')
+    );
+
+    if (!imagePart?.inlineData?.data) {
+      throw new Error('No image generated from Gemini');
+    }
+
+    return Buffer.from(imagePart.inlineData.data, 'base64');
+  }
+
+  // Looking up the model is free and fails on a missing or revoked key
+  async function check({ signal } = {}) {
+    if (!genAI) {
+      throw new Error('Gemini API key not configured');
+    }
+    await genAI.models.get({ model: DEFAULT_MODEL, config: { abortSignal: signal } });
+  }
+
+  return { name: 'gemini', generate, check };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,149 @@
+const { createGeminiProvider } = require('./gemini');
+const { createLocalProvider } = require('./local');
+
+/**
+ * Image providers share one interface so /api/optimize-image does not care
+ * who draws the picture:
+ *
+ *   name                               provider identifier used in logs and style entries
+ *   generate({ buffer, mimeType, style, signal })
+ *                                       -> Promise<Buffer>, the stylized image
+ *   check({ signal })                  -> Promise<void>, rejects when the provider is not usable
+ *
+ * Each style in image-style-prompts.json may set `provider` (default 'gemini'),
+ * `model` and `fallback` (list of providers tried in order when the first one
+ * fails, default IMAGE_FALLBACK_PROVIDERS). A provider that fails is skipped
+ * for IMAGE_PROVIDER_COOLDOWN_MS so guests do not all wait on a dead network.
+ *
+ * Transient errors (rate limits, 5xx, network drops) are retried on the same
+ * provider up to OPTIMIZE_MAX_RETRIES times with exponential backoff starting
+ * at OPTIMIZE_RETRY_BASE_MS before moving on to the fallback.
+ *
+ * Every provider call is counted in `metrics` by provider and outcome, which
+ * gives the error rate per provider on /metrics.
+ */
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+function isTransient(error) {
+  return TRANSIENT_STATUSES.includes(error.status) ||
+    TRANSIENT_CODES.includes(error.code || error.cause?.code) ||
+    /fetch failed/i.test(error.message);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  local: createLocalProvider
+};
+
+function createImageGenerator({ config, credentials, logger, metrics }) {
+  const providers = {};
+  for (const [name, factory] of Object.entries(providerFactories)) {
+    providers[name] = factory({ config, credentials, logger });
+  }
+
+  const defaultFallback = config.IMAGE_FALLBACK_PROVIDERS || ['local'];
+  const cooldownMs = config.IMAGE_PROVIDER_COOLDOWN_MS ?? 60000;
+  const maxRetries = config.OPTIMIZE_MAX_RETRIES ?? 2;
+  const retryBaseMs = config.OPTIMIZE_RETRY_BASE_MS ?? 1000;
+  const failedAt = new Map();
+  const calls = metrics.counter('image_provider_requests_total', 'Image provider calls, retries included', ['provider', 'outcome']);
+
+  function providerChain(style) {
+    const chain = [style.provider || 'gemini', ...(style.fallback || defaultFallback)];
+    return [...new Set(chain)];
+  }
+
+  function isCoolingDown(name) {
+    return Date.now() - (failedAt.get(name) || 0) < cooldownMs;
+  }
+
+  async function generateWithRetries(provider, { buffer, mimeType, style, signal, onRetry }) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await provider.generate({ buffer, mimeType, style, signal });
+        calls.inc({ provider: provider.name, outcome: 'success' });
+        return result;
+      } catch (error) {
+        calls.inc({ provider: provider.name, outcome: signal?.aborted ? 'cancelled' : 'error' });
+        if (signal?.aborted || attempt > maxRetries || !isTransient(error)) throw error;
+
+        const delayMs = retryBaseMs * 2 ** (attempt - 1);
+        logger.warn('Image provider error, retrying', { provider: provider.name, styleId: style.id, attempt, delayMs, error: error.message });
+        await sleep(delayMs, signal);
+        if (signal?.aborted) throw error;
+        onRetry(attempt + 1);
+      }
+    }
+  }
+
+  /**
+   * Run the style through its providers until one succeeds.
+   * `signal` stops retries and fallbacks once the caller gave up;
+   * `onRetry(attempt)` is called before every extra attempt.
+   * `fallback` is true when the style's own provider did not produce the image.
+   * @returns {Promise<{ buffer: Buffer, provider: string, fallback: boolean }>}
+   */
+  async function generate({ buffer, mimeType, style, signal, onRetry = () => {} }) {
+    const chain = providerChain(style);
+    // Never skip everything: if all providers failed recently, try the last one anyway
+    const candidates = chain.filter(name => !isCoolingDown(name));
+    const attempts = candidates.length > 0 ? candidates : chain.slice(-1);
+    let lastError = null;
+
+    for (const name of attempts) {
+      if (signal?.aborted) break;
+
+      const provider = providers[name];
+      if (!provider) {
+        lastError = new Error(`Unknown image provider "${name}" for style "${style.id}"`);
+        logger.error('Image provider not found', { provider: name, styleId: style.id });
+        continue;
+      }
+
+      try {
+        const result = await generateWithRetries(provider, { buffer, mimeType, style, signal, onRetry });
+        failedAt.delete(name);
+        return { buffer: result, provider: name, fallback: name !== chain[0] };
+      } catch (error) {
+        lastError = error;
+        failedAt.set(name, Date.now());
+        logger.warn('Image provider failed, trying next', { provider: name, styleId: style.id, error: error.message });
+      }
+    }
+
+    throw lastError || new Error('Image optimization was cancelled');
+  }
+
+  /**
+   * Ask every provider whether it is usable, for the deep health check.
+   * @returns {Promise<Object<string, { ok: boolean, error?: string }>>}
+   */
+  async function check({ signal } = {}) {
+    const results = {};
+    await Promise.all(Object.entries(providers).map(async ([name, provider]) => {
+      try {
+        await provider.check({ signal });
+        results[name] = { ok: true };
+      } catch (error) {
+        results[name] = { ok: false, error: error.message };
+      }
+    }));
+    return results;
+  }
+
+  // Provider names and local filters, for validating style entries
+  return { generate, check, providers: Object.keys(providers), localEffects: providers.local.effects };
+}
+
+module.exports = { createImageGenerator };
@@ -0,0 +1,87 @@
+const sharp = require('sharp');
+
+const MAX_SIZE = 1024;
+
+/**
+ * Offline image provider built on sharp.
+ * It cannot redraw a portrait like a generative model, but approximates each
+ * style with a filter so guests still get a stylized card when the network or
+ * the API quota is gone. A style picks its filter with `localEffect`.
+ */
+async function loadImage(buffer) {
+  return sharp(buffer)
+    .rotate()
+    .resize(MAX_SIZE, MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .removeAlpha();
+}
+
+// Colour-dodge blend of the grayscale photo with its blurred negative,
+// squared so the pencil lines come out darker
+async function pencilSketch(buffer) {
+  const gray = (await loadImage(buffer)).grayscale();
+  const { data, info } = await gray.clone().raw().toBuffer({ resolveWithObject: true });
+  const blurred = await gray.clone().negate().blur(8).raw().toBuffer();
+
+  const sketch = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i++) {
+    const dodge = Math.min(1, data[i] / (256 - blurred[i]));
+    sketch[i] = Math.round(dodge * dodge * 255);
+  }
+
+  return sharp(sketch, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .png()
+    .toBuffer();
+}
+
+// Flat colour patches with soft edges, like pigment pooling on paper
+async function watercolor(buffer) {
+  const levels = 6;
+  const step = 255 / (levels - 1);
+  const { data, info } = await (await loadImage(buffer))
+    .median(7)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.round(data[i] / step) * step;
+  }
+
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .blur(1.5)
+    .modulate({ brightness: 1.08, saturation: 0.85 })
+    .linear(0.85, 38) // lift the shadows towards a pastel palette
+    .png()
+    .toBuffer();
+}
+
+async function vivid(buffer) {
+  return (await loadImage(buffer))
+    .modulate({ brightness: 1.05, saturation: 1.7 })
+    .linear(1.15, -15)
+    .sharpen({ sigma: 1.2 })
+    .png()
+    .toBuffer();
+}
+
+const effects = {
+  'pencil-sketch': pencilSketch,
+  watercolor,
+  vivid
+};
+
+function createLocalProvider() {
+  async function generate({ buffer, style }) {
+    const effect = effects[style.localEffect || 'vivid'];
+    if (!effect) {
+      throw new Error(`Unknown localEffect "${style.localEffect}" for style "${style.id}"`);
+    }
+    return effect(buffer);
+  }
+
+  // Nothing external to reach
+  async function check() {}
+
+  return { name: 'local', generate, check, effects: Object.keys(effects) };
+}
+
+module.exports = { createLocalProvider };
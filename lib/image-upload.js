@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const path = require('path');
+const { AsyncResource } = require('async_hooks');
+const decodeHeic = require('heic-decode');
+const multer = require('multer');
+const sharp = require('sharp');
+
+/**
+ * Guest image intake shared by /api/upload and /api/optimize-image.
+ *
+ * 1. multer with size and count limits (UPLOAD_MAX_FILE_SIZE_MB)
+ * 2. format detection from the file's magic bytes, not the client's mimetype
+ * 3. sharp normalization: EXIF auto-rotation, all metadata (GPS, camera,
+ *    timestamps) dropped, HEIC/WebP/TIFF/GIF converted, and the longest side
+ *    capped at UPLOAD_MAX_DIMENSION. Prebuilt sharp binaries read AVIF but not
+ *    HEVC, which is what iPhones save as HEIC, so those go through heic-decode.
+ *
+ * After it runs, req.file.buffer/mimetype/size/originalname describe the
+ * normalized image and req.file.sha256 is the hash of the bytes as uploaded,
+ * which is what the browser computes for the result cache.
+ */
+const FTYP_BRANDS = {
+  heic: ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'],
+  heif: ['mif1', 'msf1'],
+  avif: ['avif', 'avis']
+};
+
+// Identify an image by its leading bytes; returns null for anything else
+function detectImageFormat(buffer) {
+  if (buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('ascii', 0, 4) === 'II*\0' || buffer.toString('ascii', 0, 4) === 'MM\0*') return 'tiff';
+
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    for (const [format, brands] of Object.entries(FTYP_BRANDS)) {
+      if (brands.includes(brand)) return format;
+    }
+  }
+  return null;
+}
+
+function createImageUpload({ config, logger }) {
+  const maxFileSizeMb = config.UPLOAD_MAX_FILE_SIZE_MB || 25;
+  const maxDimension = config.UPLOAD_MAX_DIMENSION || 4096;
+
+  const limits = {
+    fileSize: maxFileSizeMb * 1024 * 1024,
+    files: 1,
+    fields: 10,
+    fieldSize: 16 * 1024
+  };
+  const upload = multer({ storage: multer.memoryStorage(), limits });
+
+  function reject(res, status, code, error, details = {}) {
+    return res.status(status).json({ error, code, ...details });
+  }
+
+  // Keep alpha for PNGs (e.g. optimized images), everything else becomes JPEG
+  async function encode(source, format) {
+    const image = source
+      .rotate()
+      .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true });
+
+    if (format === 'png') {
+      return { buffer: await image.png().toBuffer(), mimeType: 'image/png', extension: '.png' };
+    }
+    return { buffer: await image.jpeg({ quality: 90, mozjpeg: true }).toBuffer(), mimeType: 'image/jpeg', extension: '.jpg' };
+  }
+
+  async function normalize(buffer, format) {
+    try {
+      return await encode(sharp(buffer, { failOn: 'error' }), format);
+    } catch (error) {
+      if (format !== 'heic' && format !== 'heif') throw error;
+
+      // libheif applies the HEIC's own rotation while decoding
+      const { width, height, data } = await decodeHeic({ buffer });
+      const pixels = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+      return encode(sharp(pixels, { raw: { width, height, channels: 4 } }), format);
+    }
+  }
+
+  // Returns [status, code, error] when the file must be rejected, otherwise normalizes it in place
+  async function processFile(file, req) {
+    const format = detectImageFormat(file.buffer);
+    if (!format) {
+      logger.warn('Rejected upload that is not an image', { claimedMimetype: file.mimetype, size: file.size, ip: req.ip });
+      return [415, 'UNSUPPORTED_IMAGE', 'File must be a JPEG, PNG, HEIC, WebP, GIF or TIFF image'];
+    }
+
+    let normalized;
+    try {
+      normalized = await normalize(file.buffer, format);
+    } catch (error) {
+      logger.warn('Image normalization failed', { format, error: error.message, ip: req.ip });
+      return [415, 'IMAGE_UNREADABLE', 'The image could not be read, it may be damaged'];
+    }
+
+    const originalSize = file.size;
+    const { name } = path.parse(file.originalname || 'photo');
+    Object.assign(file, {
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      buffer: normalized.buffer,
+      mimetype: normalized.mimeType,
+      size: normalized.buffer.length,
+      originalname: `${name}${normalized.extension}`
+    });
+
+    logger.info('Image normalized', { format, originalSize, size: file.size, ip: req.ip });
+    return null;
+  }
+
+  function wrap(receive) {
+    return (req, res, next) => {
+      // multer finishes from the body stream's callbacks; continue in the
+      // request's own async context so its log lines keep the request ID
+      receive(req, res, AsyncResource.bind(async (error) => {
+        if (error instanceof multer.MulterError) {
+          logger.warn('Upload rejected by limits', { code: error.code, field: error.field, ip: req.ip });
+          return error.code === 'LIMIT_FILE_SIZE'
+            ? reject(res, 413, 'FILE_TOO_LARGE', `File size must be less than ${maxFileSizeMb}MB`, { maxFileSizeMb })
+            : reject(res, 400, error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE' ? 'TOO_MANY_FILES' : 'INVALID_UPLOAD', error.message);
+        }
+        if (error) return next(error);
+
+        try {
+          for (const file of req.files || (req.file ? [req.file] : [])) {
+            const failure = await processFile(file, req);
+            if (failure) return reject(res, ...failure);
+          }
+          next();
+        } catch (processError) {
+          next(processError);
+        }
+      }));
+    };
+  }
+
+  /**
+   * Middleware for a single image in `field`. Responds 413 for oversized
+   * files, 400 for malformed multipart bodies and 415 for non-images.
+   */
+  function single(field) {
+    return wrap(upload.single(field));
+  }
+
+  // Same checks for up to maxCount images in `field`, available as req.files
+  function array(field, maxCount) {
+    return wrap(multer({ storage: multer.memoryStorage(), limits: { ...limits, files: maxCount } }).array(field, maxCount));
+  }
+
+  return { single, array, maxFileSizeMb };
+}
+
+module.exports = { createImageUpload, detectImageFormat };
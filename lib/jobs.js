@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Per-upload job tracking for guests.
+ * Each upload gets a job ID whose status follows the print queue entry of
+ * its stored file:
+ *
+ *   queued -> printing -> printed | failed | rejected
+ *
+ * Files waiting for moderator review count as queued.
+ * Jobs are forgotten finishedTtlMs after they end (a re-print brings no job
+ * back), and the oldest finished ones go first once more than maxJobs are
+ * tracked. Queued and printing jobs are never dropped; guests are waiting on them.
+ * A 'change' event is emitted on `events` whenever any job may have moved,
+ * including queue position changes caused by other guests' cards.
+ */
+const STATUS_FROM_QUEUE = {
+  review: 'queued',
+  pending: 'queued',
+  printing: 'printing',
+  done: 'printed',
+  failed: 'failed',
+  rejected: 'rejected',
+  removed: 'failed'
+};
+const FINISHED = ['printed', 'failed', 'rejected'];
+
+function createJobTracker({ printQueue, finishedTtlMs = 60 * 60 * 1000, maxJobs = 5000 }) {
+  const jobs = new Map(); // insertion order = oldest first
+  const jobIdsByFileId = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // one listener per open status stream
+
+  function forget(job) {
+    clearTimeout(job.expireTimer);
+    jobs.delete(job.id);
+    jobIdsByFileId.delete(job.fileId);
+  }
+
+  printQueue.events.on('change', (entry) => {
+    const job = jobs.get(jobIdsByFileId.get(entry.id));
+    if (job) {
+      job.status = STATUS_FROM_QUEUE[entry.status];
+      job.error = entry.status === 'removed' ? 'Removed from the print queue' : entry.lastError;
+      job.updatedAt = new Date();
+
+      // Guests still polling see the outcome for a while, then the job goes
+      clearTimeout(job.expireTimer);
+      job.expireTimer = FINISHED.includes(job.status)
+        ? setTimeout(() => forget(job), finishedTtlMs).unref()
+        : null;
+    }
+    events.emit('change');
+  });
+
+  function create({ fileId, name }) {
+    const job = {
+      id: crypto.randomUUID(),
+      fileId,
+      name,
+      status: 'queued',
+      error: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      expireTimer: null
+    };
+
+    if (jobs.size >= maxJobs) {
+      const oldestFinished = [...jobs.values()].find(tracked => FINISHED.includes(tracked.status));
+      if (oldestFinished) forget(oldestFinished);
+    }
+    jobs.set(job.id, job);
+    jobIdsByFileId.set(fileId, job.id);
+    events.emit('change');
+    return get(job.id);
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    let position = null;
+    if (job.status === 'queued' || job.status === 'printing') {
+      // Until the worker's next poll picks the file up, it is last in line
+      position = printQueue.getPosition(job.fileId) || printQueue.countWaiting() + 1;
+    }
+
+    return {
+      id: job.id,
+      status: job.status,
+      position,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  return { events, create, get };
+}
+
+module.exports = { createJobTracker };
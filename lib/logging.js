@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+
+/**
+ * Winston logger for the server and every lib module.
+ *
+ * Log files are written to `dir` as app-YYYY-MM-DD.log (everything) and
+ * error-YYYY-MM-DD.log (errors only). The file switches at midnight UTC, and
+ * files older than the retention are deleted then.
+ *
+ * Lines logged while handling a request carry its `requestId`, taken from
+ * `requestContext` (see the request ID middleware in server.js). The format is
+ * the readable text line by default, or one JSON object per line for log
+ * shippers; it can be switched at runtime with `configure`.
+ */
+const MESSAGE = Symbol.for('message');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// Appends to <prefix>-<date>.log and moves to a new file when the date changes
+class DailyFileTransport extends winston.Transport {
+  constructor({ dir, prefix, retentionDays, ...options }) {
+    super(options);
+    this.dir = dir;
+    this.prefix = prefix;
+    this.retentionDays = retentionDays;
+    this.date = null;
+    this.stream = null;
+  }
+
+  open() {
+    const date = today();
+    if (date === this.date) return;
+
+    if (this.stream) this.stream.end();
+    this.date = date;
+    this.stream = fs.createWriteStream(path.join(this.dir, `${this.prefix}-${date}.log`), { flags: 'a' });
+    this.stream.on('error', error => this.emit('error', error));
+    this.removeExpired();
+  }
+
+  removeExpired() {
+    const pattern = new RegExp(`^${this.prefix}-(\\d{4}-\\d{2}-\\d{2})\\.log$`);
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+
+    fs.readdir(this.dir, (error, names) => {
+      if (error) return;
+      for (const name of names) {
+        const match = name.match(pattern);
+        if (match && Date.parse(match[1]) < cutoff) fs.unlink(path.join(this.dir, name), () => {});
+      }
+    });
+  }
+
+  log(info, callback) {
+    this.open();
+    this.stream.write(`${info[MESSAGE]}\n`);
+    this.emit('logged', info);
+    callback();
+  }
+
+  close() {
+    if (this.stream) this.stream.end();
+  }
+}
+
+function createLogger({ dir, level = 'info', format = 'text', retentionDays = 14 }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const requestContext = new AsyncLocalStorage();
+  const settings = { json: format === 'json' };
+
+  const withRequestId = winston.format((info) => {
+    const store = requestContext.getStore();
+    if (store && !info.requestId) info.requestId = store.requestId;
+    return info;
+  });
+
+  // Pick the text or JSON rendering per line, so `configure` applies at once
+  const line = (text) => {
+    const json = winston.format.json();
+    return winston.format((info, options) => (settings.json ? json.transform(info, options) : text.transform(info, options)))();
+  };
+
+  const fileText = winston.format.printf(({ timestamp, level, message, ...meta }) => {
+    const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+    return `${timestamp} [${level.toUpperCase()}] ${message} ${metaStr}`;
+  });
+  const consoleText = winston.format.combine(winston.format.colorize(), winston.format.simple());
+
+  const files = [
+    new DailyFileTransport({ dir, prefix: 'app', retentionDays, format: line(fileText) }),
+    new DailyFileTransport({ dir, prefix: 'error', retentionDays, level: 'error', format: line(fileText) })
+  ];
+
+  const logger = winston.createLogger({
+    level,
+    format: winston.format.combine(
+      winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+      winston.format.errors({ stack: true }),
+      withRequestId()
+    ),
+    transports: [
+      new winston.transports.Console({ format: line(consoleText) }),
+      ...files
+    ]
+  });
+
+  /**
+   * Apply LOG_FORMAT / LOG_RETENTION_DAYS once config.json is loaded.
+   * @param {Object} options
+   * @param {string} [options.format] - 'text' or 'json'
+   * @param {number} [options.retentionDays]
+   */
+  function configure({ format: nextFormat, retentionDays: nextRetention }) {
+    if (nextFormat) settings.json = nextFormat === 'json';
+    if (nextRetention) {
+      for (const transport of files) transport.retentionDays = nextRetention;
+    }
+  }
+
+  return { logger, requestContext, configure };
+}
+
+module.exports = { createLogger };
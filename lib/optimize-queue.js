@@ -0,0 +1,134 @@
+/**
+ * Image optimization job queue.
+ * Guests submit a photo and poll for the result instead of holding a request
+ * open for the whole generation. At most `concurrency` jobs run at once; the
+ * rest wait in submission order. Each job gets `timeoutMs` in total (or its
+ * own, for jobs with more work such as collages), retries included, after
+ * which its AbortSignal fires.
+ *
+ * Job status: queued -> running -> done | failed
+ *
+ * Finished jobs (and their result buffers) are dropped after resultTtlMs.
+ * A 'change' event with the public job is emitted on `events` whenever a
+ * job's status or attempt count moves.
+ */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { AsyncResource } = require('async_hooks');
+
+function createOptimizeQueue({ run, logger, concurrency = 2, timeoutMs = 90000, maxQueued = 200, resultTtlMs = 10 * 60 * 1000 }) {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // one listener per open comparison stream
+
+  function toPublic(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      position: job.status === 'queued' ? waiting.indexOf(job) + 1 : null,
+      attempts: job.attempts,
+      provider: job.provider,
+      error: job.error,
+      errorCode: job.errorCode,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date() });
+    events.emit('change', toPublic(job));
+  }
+
+  function withTimeout(promise, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(Object.assign(new Error('Image optimization timed out'), { code: 'OPTIMIZE_TIMEOUT' }));
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  async function runJob(job) {
+    running++;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), job.timeoutMs);
+    update(job, { status: 'running', attempts: 1, startedAt: new Date() });
+
+    try {
+      const onRetry = (attempt) => update(job, { attempts: attempt });
+      const result = await withTimeout(run(job.input, { signal: controller.signal, onRetry }), controller.signal);
+      job.result = result;
+      update(job, { status: 'done', provider: result.provider });
+      logger.info('Optimization job completed', { id: job.id, provider: result.provider, attempts: job.attempts, durationMs: Date.now() - job.startedAt });
+    } catch (error) {
+      // Provider errors are not meant for guests; they get the code to translate
+      update(job, { status: 'failed', error: error.message, errorCode: error.code === 'OPTIMIZE_TIMEOUT' ? error.code : 'OPTIMIZE_FAILED' });
+      logger.error('Optimization job failed', { id: job.id, attempts: job.attempts, error: error.message });
+    } finally {
+      clearTimeout(timer);
+      job.input = null; // Release the uploaded photo
+      running--;
+      setTimeout(() => jobs.delete(job.id), resultTtlMs).unref();
+      next();
+    }
+  }
+
+  function next() {
+    while (running < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      job.enter(() => runJob(job));
+    }
+  }
+
+  /**
+   * Queue a job. `input` is handed to `run` unchanged.
+   * Throws with status 503 when too many jobs are already waiting.
+   */
+  function submit(input, options = {}) {
+    if (waiting.length >= maxQueued) {
+      throw Object.assign(new Error('Too many images are waiting to be optimized, please try again shortly'), { status: 503, code: 'QUEUE_FULL' });
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      input,
+      timeoutMs: options.timeoutMs || timeoutMs,
+      result: null,
+      attempts: 0,
+      provider: null,
+      error: null,
+      errorCode: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      startedAt: null,
+      // Run in the submitting request's async context, so log lines keep its request ID
+      enter: AsyncResource.bind(fn => fn())
+    };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    next();
+    return toPublic(job);
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? toPublic(job) : null;
+  }
+
+  function getResult(id) {
+    const job = jobs.get(id);
+    return job && job.status === 'done' ? job.result : null;
+  }
+
+  function getStats() {
+    return { running, queued: waiting.length, concurrency };
+  }
+
+  return { submit, get, getResult, getStats, events };
+}
+
+module.exports = { createOptimizeQueue };
@@ -0,0 +1,290 @@
+/**
+ * Print queue worker.
+ * Polls the storage queue folder, prints each file in upload order and moves
+ * it to the processed folder afterwards. Failed prints are retried up to
+ * maxRetries times before the entry is marked as failed.
+ *
+ * Entry status: [review ->] pending -> printing -> done | failed
+ *
+ * With requireApproval, new files wait in 'review' until a moderator approves
+ * them; rejected files are moved to the rejected folder. Approval is written
+ * into the file's metadata (`approved: true`), so it survives a restart.
+ *
+ * The folder is followed even with `printing` off, since the dashboard and
+ * the wall are built on these entries; approved files then stay 'pending'
+ * until printing is turned on.
+ *
+ * Every status change is emitted as a 'change' event on `events` with the
+ * public view of the entry.
+ */
+const { EventEmitter } = require('events');
+
+const MAX_FINISHED_ENTRIES = 200;
+const WAITING_STATUSES = ['review', 'pending', 'printing'];
+const PUBLIC_STATUSES = ['pending', 'printing', 'done'];
+
+function createPrintQueue({ storage, printer, logger, pollIntervalMs = 10000, maxRetries = 3, requireApproval = false, printing = true }) {
+  const entries = new Map();
+  const events = new EventEmitter();
+  let timer = null;
+  let polling = false;
+
+  function toPublic(entry) {
+    return {
+      id: entry.id,
+      name: entry.name,
+      status: entry.status,
+      folder: entry.folder,
+      message: entry.metadata.message || null,
+      attempts: entry.attempts,
+      lastError: entry.lastError,
+      queuedAt: entry.queuedAt,
+      startedAt: entry.startedAt,
+      finishedAt: entry.finishedAt
+    };
+  }
+
+  function setStatus(entry, status) {
+    entry.status = status;
+    events.emit('change', toPublic(entry));
+  }
+
+  // Pick up new files and forget waiting ones that were removed from the folder by hand
+  async function syncWithStorage() {
+    const files = await storage.list('queue');
+    const seen = new Set();
+
+    for (const file of files) {
+      seen.add(file.id);
+      if (!entries.has(file.id)) {
+        entries.set(file.id, {
+          id: file.id,
+          name: file.name,
+          mimeType: file.mimeType,
+          metadata: file.metadata || {},
+          status: requireApproval && !(file.metadata && file.metadata.approved) ? 'review' : 'pending',
+          folder: 'queue',
+          attempts: 0,
+          lastError: null,
+          printed: false,
+          nextAttemptAt: 0,
+          queuedAt: file.createdTime,
+          startedAt: null,
+          finishedAt: null
+        });
+        logger.info('Print job queued', { id: file.id, name: file.name, requireApproval });
+        events.emit('change', toPublic(entries.get(file.id)));
+      }
+    }
+
+    for (const [id, entry] of entries) {
+      if (entry.folder === 'queue' && (entry.status === 'review' || entry.status === 'pending') && !seen.has(id)) {
+        entries.delete(id);
+        logger.warn('Print job removed from queue folder before printing', { id, name: entry.name });
+        events.emit('change', { ...toPublic(entry), status: 'removed' });
+      }
+    }
+  }
+
+  function nextPending() {
+    const now = Date.now();
+    return [...entries.values()]
+      .filter(entry => entry.status === 'pending' && entry.nextAttemptAt <= now)
+      .sort((a, b) => a.queuedAt - b.queuedAt)[0];
+  }
+
+  async function processEntry(entry) {
+    entry.startedAt = new Date();
+    entry.attempts++;
+    setStatus(entry, 'printing');
+
+    try {
+      // A file that printed but failed to move must not be printed twice
+      if (!entry.printed) {
+        const buffer = await storage.read(entry.id, entry.folder);
+        await printer.print({ name: entry.name, mimeType: entry.mimeType, buffer, metadata: entry.metadata });
+        entry.printed = true;
+      }
+
+      if (entry.folder === 'queue') {
+        await storage.move(entry.id, 'queue', 'processed');
+        entry.folder = 'processed';
+      }
+
+      entry.lastError = null;
+      entry.finishedAt = new Date();
+      setStatus(entry, 'done');
+      logger.info('Print job completed', { id: entry.id, name: entry.name, attempts: entry.attempts });
+    } catch (error) {
+      entry.lastError = error.message;
+
+      if (entry.attempts >= maxRetries) {
+        entry.finishedAt = new Date();
+        setStatus(entry, 'failed');
+        logger.error('Print job failed', { id: entry.id, name: entry.name, attempts: entry.attempts, error: error.message });
+      } else {
+        entry.nextAttemptAt = Date.now() + pollIntervalMs * entry.attempts;
+        setStatus(entry, 'pending');
+        logger.warn('Print job attempt failed, will retry', { id: entry.id, name: entry.name, attempts: entry.attempts, error: error.message });
+      }
+    }
+  }
+
+  function pruneFinished() {
+    const finished = [...entries.values()]
+      .filter(entry => entry.status === 'done' || entry.status === 'rejected')
+      .sort((a, b) => a.finishedAt - b.finishedAt);
+
+    for (const entry of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_ENTRIES))) {
+      entries.delete(entry.id);
+    }
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+
+    try {
+      await syncWithStorage();
+
+      let entry;
+      while (printing && (entry = nextPending())) {
+        await processEntry(entry);
+      }
+
+      pruneFinished();
+    } catch (error) {
+      logger.error('Print queue poll failed', { error: error.message });
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    logger.info('Print queue worker started', { pollIntervalMs, maxRetries, requireApproval, printing });
+    poll();
+    timer = setInterval(poll, pollIntervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Moderator actions should not wait for the next tick, but must not print while stopped
+  function pollIfRunning() {
+    if (timer) poll();
+  }
+
+  function getEntry(id) {
+    const entry = entries.get(id);
+    return entry ? toPublic(entry) : null;
+  }
+
+  function requireEntry(id, allowedStatuses, action) {
+    const entry = entries.get(id);
+    if (!entry) {
+      throw Object.assign(new Error('Print job not found'), { status: 404 });
+    }
+    if (!allowedStatuses.includes(entry.status)) {
+      throw Object.assign(new Error(`Cannot ${action} a job that is ${entry.status}`), { status: 409 });
+    }
+    return entry;
+  }
+
+  async function approve(id) {
+    const entry = requireEntry(id, ['review'], 'approve');
+    const metadata = { ...entry.metadata, approved: true };
+    await storage.setMetadata(entry.id, entry.folder, metadata);
+    entry.metadata = metadata;
+    entry.nextAttemptAt = 0;
+    setStatus(entry, 'pending');
+    logger.info('Print job approved', { id, name: entry.name });
+    pollIfRunning();
+    return toPublic(entry);
+  }
+
+  async function reject(id) {
+    const entry = requireEntry(id, ['review', 'pending', 'failed'], 'reject');
+    if (entry.folder === 'queue') {
+      await storage.move(entry.id, 'queue', 'rejected');
+      entry.folder = 'rejected';
+    }
+    entry.finishedAt = new Date();
+    setStatus(entry, 'rejected');
+    logger.info('Print job rejected', { id, name: entry.name });
+    return toPublic(entry);
+  }
+
+  function reprint(id) {
+    const entry = requireEntry(id, ['done', 'failed'], 're-print');
+    entry.attempts = 0;
+    entry.printed = false;
+    entry.lastError = null;
+    entry.nextAttemptAt = 0;
+    entry.finishedAt = null;
+    setStatus(entry, 'pending');
+    logger.info('Print job re-queued', { id, name: entry.name });
+    pollIfRunning();
+    return toPublic(entry);
+  }
+
+  function getSnapshot() {
+    const items = [...entries.values()]
+      .sort((a, b) => a.queuedAt - b.queuedAt)
+      .map(toPublic);
+
+    const counts = { review: 0, pending: 0, printing: 0, done: 0, failed: 0, rejected: 0 };
+    for (const item of items) {
+      counts[item.status]++;
+    }
+
+    return { counts, items };
+  }
+
+  // For the reception desk, which needs no login: no file names or greetings,
+  // and nothing that is still in review or was rejected
+  function getPublicSnapshot() {
+    const { counts, items } = getSnapshot();
+    return {
+      counts,
+      items: items
+        .filter(item => PUBLIC_STATUSES.includes(item.status))
+        .map(({ status, queuedAt, startedAt, finishedAt }) => ({ status, queuedAt, startedAt, finishedAt }))
+    };
+  }
+
+  function waitingEntries() {
+    return [...entries.values()]
+      .filter(entry => WAITING_STATUSES.includes(entry.status))
+      .sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+
+  // 1-based place in line among files still waiting to print, or null if not waiting
+  function getPosition(id) {
+    const index = waitingEntries().findIndex(entry => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  function countWaiting() {
+    return waitingEntries().length;
+  }
+
+  return {
+    events,
+    start,
+    stop,
+    poll,
+    getEntry,
+    approve,
+    reject,
+    reprint,
+    getSnapshot,
+    getPublicSnapshot,
+    getPosition,
+    countWaiting
+  };
+}
+
+module.exports = { createPrintQueue };
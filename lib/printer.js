@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * Print step used by the print queue worker.
+ * Writes the file to a temp path and hands it to PRINT_COMMAND (e.g. "lp"),
+ * with PRINT_COMMAND_ARGS placed before the file path.
+ * When PRINT_COMMAND is empty the step only logs, so cards can still be
+ * printed by hand from the processed folder.
+ *
+ * With a compositor (and CARD_COMPOSE_ON_PRINT not false) the photo is laid
+ * out on the configured card template, together with the guest's greeting
+ * message, before it is sent to the printer.
+ */
+function createPrinter({ config, logger, compositor = null }) {
+  const command = config.PRINT_COMMAND || '';
+  const args = config.PRINT_COMMAND_ARGS || [];
+
+  async function print({ name, buffer, metadata = {} }) {
+    if (compositor && config.CARD_COMPOSE_ON_PRINT !== false) {
+      const card = await compositor.compose(buffer, { text: { message: metadata.message } });
+      buffer = card.buffer;
+      name = `${path.parse(name).name}.${card.extension}`;
+    }
+
+    if (!command) {
+      logger.info('No PRINT_COMMAND configured, skipping physical print', { name });
+      return;
+    }
+
+    const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wedding-print-'));
+    const tmpFile = path.join(tmpDir, path.basename(name));
+
+    try {
+      await fs.promises.writeFile(tmpFile, buffer);
+      await new Promise((resolve, reject) => {
+        execFile(command, [...args, tmpFile], { timeout: 60000 }, (error, stdout, stderr) => {
+          if (error) {
+            error.message = `${error.message.trim()} ${stderr || ''}`.trim();
+            return reject(error);
+          }
+          logger.info('Print command completed', { name, output: stdout.trim() });
+          resolve();
+        });
+      });
+    } finally {
+      await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  return { print };
+}
+
+module.exports = { createPrinter };
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Disk cache of optimized images, keyed by the SHA-256 of the uploaded bytes
+ * plus the style id. The browser computes the same hash, so a guest who
+ * retries, or re-saves the photo under another name, gets the stored result
+ * without another generation call.
+ *
+ * Results made by a fallback provider are stored as *.fallback.png and only
+ * served for fallbackTtlMs, so retries do not go back to a failing provider
+ * but the real result replaces them once it has recovered.
+ *
+ * The oldest files are removed once more than maxEntries are stored.
+ */
+function createResultCache({ dir, logger, maxEntries = 1000, fallbackTtlMs = 60000 }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function filePath(hash, styleId, fallback = false) {
+    if (!HASH_PATTERN.test(hash)) {
+      throw Object.assign(new Error('Invalid image hash'), { status: 400, code: 'INVALID_HASH' });
+    }
+    return path.join(dir, `${hash}_${path.basename(styleId)}${fallback ? '.fallback' : ''}.png`);
+  }
+
+  async function readIfExists(file) {
+    try {
+      return await fs.promises.readFile(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function get(hash, styleId) {
+    const result = await readIfExists(filePath(hash, styleId));
+    if (result) return result;
+
+    const fallbackFile = filePath(hash, styleId, true);
+    const stat = await fs.promises.stat(fallbackFile).catch(() => null);
+    if (!stat) return null;
+    if (stat.mtimeMs + fallbackTtlMs <= Date.now()) {
+      await fs.promises.rm(fallbackFile, { force: true });
+      return null;
+    }
+    return readIfExists(fallbackFile);
+  }
+
+  async function prune() {
+    const names = await fs.promises.readdir(dir);
+    if (names.length <= maxEntries) return;
+
+    const files = await Promise.all(names.map(async name => ({
+      name,
+      mtimeMs: (await fs.promises.stat(path.join(dir, name))).mtimeMs
+    })));
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+    const stale = files.slice(0, files.length - maxEntries);
+    await Promise.all(stale.map(file => fs.promises.rm(path.join(dir, file.name), { force: true })));
+    logger.info('Optimized image cache pruned', { removed: stale.length });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.fallback] - made by a fallback provider, kept for fallbackTtlMs only
+   */
+  async function set(hash, styleId, buffer, { fallback = false } = {}) {
+    await fs.promises.writeFile(filePath(hash, styleId, fallback), buffer);
+    if (!fallback) await fs.promises.rm(filePath(hash, styleId, true), { force: true });
+    prune().catch(error => logger.warn('Optimized image cache prune failed', { error: error.message }));
+  }
+
+  return { get, set };
+}
+
+module.exports = { createResultCache };
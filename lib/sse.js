@@ -0,0 +1,40 @@
+/**
+ * Open a Server-Sent Events stream on an Express response.
+ * Sends a comment every 25s so proxies keep idle streams open, and calls
+ * onClose once when the client goes away.
+ *
+ * @returns {{ send: (data: *, event?: string) => void, close: () => void }}
+ */
+function openEventStream(req, res, onClose = () => {}) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop Nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  let closed = false;
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    onClose();
+  };
+  req.on('close', cleanup);
+
+  return {
+    send(data, event) {
+      if (closed) return;
+      res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      cleanup();
+      res.end();
+    }
+  };
+}
+
+module.exports = { openEventStream };
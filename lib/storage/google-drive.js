@@ -0,0 +1,156 @@
+const { Readable } = require('stream');
+const { google } = require('googleapis');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * Google Drive storage adapter.
+ * Logical folders map to the Drive folder IDs in config.json:
+ *   queue     -> GOOGLE_DRIVE_QUEUE_FOLDER_ID
+ *   processed -> GOOGLE_DRIVE_PROCESSED_FOLDER_ID
+ *   rejected  -> GOOGLE_DRIVE_REJECTED_FOLDER_ID, optional: without it
+ *                rejected files go to the Drive trash
+ *
+ * Metadata is stored as JSON in the Drive file description, since
+ * appProperties values are limited to 124 bytes.
+ *
+ * Calls are made as the Google account connected from /admin (googleAuth).
+ */
+function createGoogleDriveStorage({ config, googleAuth }) {
+  const folderIds = {
+    queue: config.GOOGLE_DRIVE_QUEUE_FOLDER_ID,
+    processed: config.GOOGLE_DRIVE_PROCESSED_FOLDER_ID,
+    rejected: config.GOOGLE_DRIVE_REJECTED_FOLDER_ID
+  };
+
+  function getFolderId(folder) {
+    const folderId = folderIds[folder];
+    if (!folderId) {
+      throw new Error(`No Google Drive folder configured for "${folder}"`);
+    }
+    return folderId;
+  }
+
+  function getDriveService() {
+    return google.drive({ version: 'v3', auth: googleAuth.getClient() });
+  }
+
+  function parseMetadata(description) {
+    try {
+      return description ? JSON.parse(description) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async function save({ name, mimeType, buffer, metadata = {} }) {
+    const drive = getDriveService();
+
+    const response = await drive.files.create({
+      resource: {
+        name,
+        parents: [getFolderId('queue')],
+        description: Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : undefined
+      },
+      media: {
+        mimeType,
+        body: Readable.from([buffer])
+      },
+      fields: 'id, webViewLink'
+    });
+
+    return { id: response.data.id, link: response.data.webViewLink };
+  }
+
+  async function list(folder) {
+    const drive = getDriveService();
+    const files = [];
+    let pageToken;
+
+    do {
+      const response = await drive.files.list({
+        q: `'${getFolderId(folder)}' in parents and trashed = false`,
+        orderBy: 'createdTime',
+        fields: 'nextPageToken, files(id, name, mimeType, createdTime, description)',
+        pageSize: 100,
+        pageToken
+      });
+
+      for (const file of response.data.files) {
+        files.push({
+          id: file.id,
+          name: file.name,
+          mimeType: file.mimeType,
+          createdTime: new Date(file.createdTime),
+          metadata: parseMetadata(file.description)
+        });
+      }
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return files;
+  }
+
+  async function read(id) {
+    const drive = getDriveService();
+    const response = await drive.files.get(
+      { fileId: id, alt: 'media' },
+      { responseType: 'arraybuffer' }
+    );
+    return Buffer.from(response.data);
+  }
+
+  async function move(id, fromFolder, toFolder) {
+    const drive = getDriveService();
+    if (toFolder === 'rejected' && !folderIds.rejected) {
+      await drive.files.update({ fileId: id, resource: { trashed: true }, fields: 'id' });
+      return;
+    }
+    await drive.files.update({
+      fileId: id,
+      addParents: getFolderId(toFolder),
+      removeParents: getFolderId(fromFolder),
+      fields: 'id'
+    });
+  }
+
+  async function setMetadata(id, folder, metadata) {
+    const drive = getDriveService();
+    await drive.files.update({ fileId: id, resource: { description: JSON.stringify(metadata) }, fields: 'id' });
+  }
+
+  // Proves the token still works and the queue folder is reachable with it
+  async function check() {
+    const drive = getDriveService();
+    await drive.files.get({ fileId: getFolderId('queue'), fields: 'id' });
+  }
+
+  return { name: 'google-drive', save, list, read, move, setMetadata, check };
+}
+
+/**
+ * Create a folder `name` with Queue, Processed and Rejected folders inside,
+ * as the connected account. The drive.file scope reaches folders made this
+ * way, unlike ones created by hand in the Drive UI.
+ * @returns {Promise<{ queueFolderId: string, processedFolderId: string, rejectedFolderId: string }>}
+ */
+async function createDriveFolders({ googleAuth, name }) {
+  const drive = google.drive({ version: 'v3', auth: googleAuth.getClient() });
+
+  async function createFolder(folderName, parentId) {
+    const response = await drive.files.create({
+      resource: { name: folderName, mimeType: FOLDER_MIME_TYPE, parents: parentId ? [parentId] : undefined },
+      fields: 'id'
+    });
+    return response.data.id;
+  }
+
+  const rootId = await createFolder(name);
+  return {
+    queueFolderId: await createFolder('Queue', rootId),
+    processedFolderId: await createFolder('Processed', rootId),
+    rejectedFolderId: await createFolder('Rejected', rootId)
+  };
+}
+
+module.exports = { createGoogleDriveStorage, createDriveFolders };
@@ -0,0 +1,44 @@
+const { createGoogleDriveStorage, createDriveFolders } = require('./google-drive');
+const { createLocalStorage } = require('./local');
+
+/**
+ * Storage adapters share one interface so the upload route does not care
+ * where files end up:
+ *
+ *   name                               adapter identifier used in logs
+ *   save({ name, mimeType, buffer, metadata })
+ *                                       -> Promise<{ id, link }>, written to the queue folder;
+ *                                          link is a URL a browser can open, or null
+ *   list(folder)                        -> Promise<[{ id, name, mimeType, createdTime, metadata }]>, oldest first
+ *   read(id, folder)                    -> Promise<Buffer>
+ *   move(id, fromFolder, toFolder)      -> Promise<void>
+ *   setMetadata(id, folder, metadata)   -> Promise<void>, replaces the file's metadata
+ *   check()                             -> Promise<void>, rejects when the backend is not usable
+ *
+ * Folders are logical names ('queue', 'processed', 'rejected') that each adapter maps
+ * onto its own location.
+ *
+ * The backend is picked with STORAGE_BACKEND in config.json.
+ */
+const adapters = {
+  'google-drive': createGoogleDriveStorage,
+  local: createLocalStorage
+};
+
+function createStorage({ config, googleAuth, baseDir, logger }) {
+  const backend = config.STORAGE_BACKEND || 'google-drive';
+  const factory = adapters[backend];
+
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  return factory({
+    config,
+    googleAuth,
+    baseDir,
+    logger
+  });
+}
+
+module.exports = { createStorage, createDriveFolders };
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.pdf': 'application/pdf'
+};
+
+// Metadata (e.g. the guest's greeting message) lives in a JSON sidecar next to the file
+const METADATA_SUFFIX = '.meta.json';
+
+/**
+ * Local filesystem storage adapter.
+ * Lets the venue keep accepting uploads without an internet connection.
+ * Logical folders are subdirectories of LOCAL_STORAGE_DIR (queue, processed, rejected).
+ * Metadata is kept in a <file>.meta.json sidecar that moves with the file.
+ */
+function createLocalStorage({ config, baseDir }) {
+  const rootDir = path.resolve(baseDir, config.LOCAL_STORAGE_DIR || 'storage');
+
+  function folderPath(folder) {
+    return path.join(rootDir, folder);
+  }
+
+  // The file name doubles as the id, so never let it escape its folder
+  function filePath(folder, id) {
+    return path.join(folderPath(folder), path.basename(id));
+  }
+
+  async function readMetadata(folder, id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath(folder, id) + METADATA_SUFFIX, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async function save({ name, buffer, metadata = {} }) {
+    await fs.promises.mkdir(folderPath('queue'), { recursive: true });
+
+    const id = path.basename(name).replace(/[^\w.\-]/g, '_');
+    const target = filePath('queue', id);
+
+    // Sidecar first, so the print worker never sees the image without its metadata
+    if (Object.keys(metadata).length > 0) {
+      await fs.promises.writeFile(target + METADATA_SUFFIX, JSON.stringify(metadata, null, 2));
+    }
+    await fs.promises.writeFile(target, buffer);
+
+    // No link: a file:// URL would only tell guests where the server keeps its files
+    return { id, link: null };
+  }
+
+  async function list(folder) {
+    const dir = folderPath(folder);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const files = [];
+    for (const name of await fs.promises.readdir(dir)) {
+      if (name.endsWith(METADATA_SUFFIX)) continue;
+
+      const stat = await fs.promises.stat(path.join(dir, name));
+      if (!stat.isFile()) continue;
+
+      files.push({
+        id: name,
+        name,
+        mimeType: MIME_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream',
+        createdTime: stat.mtime,
+        metadata: await readMetadata(folder, name)
+      });
+    }
+
+    return files.sort((a, b) => a.createdTime - b.createdTime || a.name.localeCompare(b.name));
+  }
+
+  async function read(id, folder = 'queue') {
+    return fs.promises.readFile(filePath(folder, id));
+  }
+
+  async function move(id, fromFolder, toFolder) {
+    await fs.promises.mkdir(folderPath(toFolder), { recursive: true });
+    await fs.promises.rename(filePath(fromFolder, id), filePath(toFolder, id));
+
+    const sidecar = filePath(fromFolder, id) + METADATA_SUFFIX;
+    if (fs.existsSync(sidecar)) {
+      await fs.promises.rename(sidecar, filePath(toFolder, id) + METADATA_SUFFIX);
+    }
+  }
+
+  async function setMetadata(id, folder, metadata) {
+    await fs.promises.writeFile(filePath(folder, id) + METADATA_SUFFIX, JSON.stringify(metadata, null, 2));
+  }
+
+  // The queue folder must exist (or be creatable) and be writable
+  async function check() {
+    await fs.promises.mkdir(folderPath('queue'), { recursive: true });
+    await fs.promises.access(folderPath('queue'), fs.constants.W_OK);
+  }
+
+  return { name: 'local', save, list, read, move, setMetadata, check };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { createStyleCatalog } = require('./styles');
+
+/**
+ * Editable style catalog backed by image-style-prompts.json.
+ *
+ * Styles are managed from /admin (create, update, enable/disable, reorder) and
+ * the file is rewritten on every change. Edits made to the file by hand are
+ * picked up without a restart; a file that fails validation is logged and
+ * ignored, so guests keep the last good catalog instead of a crashed server.
+ *
+ * Every prompt change is kept in HISTORY_FILE as a numbered version, whatever
+ * its source (dashboard, file edit, rollback). `enabled`, `default` and the
+ * order are catalog placement, not part of a version.
+ *
+ * A 'change' event is emitted on `events` whenever the catalog changes.
+ */
+const ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,46}[a-z0-9])?$/;
+const LOCALE_PATTERN = /^[a-z]{2}$/;
+const MAX_PROMPT_LENGTH = 10000;
+const RELOAD_DEBOUNCE_MS = 300;
+
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function notFound() {
+  return Object.assign(new Error('Style not found'), { status: 404 });
+}
+
+function optionalString(value, field, maxLength) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string') throw invalid(`${field} must be a string`);
+  if (value.length > maxLength) throw invalid(`${field} must be at most ${maxLength} characters`);
+  return value.trim() || undefined;
+}
+
+function requiredString(value, field, maxLength) {
+  const result = optionalString(value, field, maxLength);
+  if (!result) throw invalid(`${field} is required`);
+  return result;
+}
+
+/**
+ * Validate one style and return it with the keys in file order.
+ * @param {Object} input
+ * @param {Object} options
+ * @param {string[]} options.providers - registered image providers
+ * @param {string[]} options.localEffects - filters of the local provider
+ */
+function normalizeStyle(input, { providers, localEffects }) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw invalid('Style must be an object');
+
+  const id = typeof input.id === 'string' ? input.id.trim().toLowerCase() : '';
+  if (!ID_PATTERN.test(id)) throw invalid('Style id must be 1-48 lowercase letters, digits or dashes');
+
+  const style = {
+    id,
+    name: requiredString(input.name, 'name', 100),
+    description: optionalString(input.description, 'description', 300)
+  };
+
+  const translations = input.translations || {};
+  if (typeof translations !== 'object' || Array.isArray(translations)) throw invalid('translations must be an object');
+  for (const [locale, translation] of Object.entries(translations)) {
+    if (!LOCALE_PATTERN.test(locale)) throw invalid(`translations.${locale} is not a two-letter language code`);
+    const name = optionalString(translation?.name, `translations.${locale}.name`, 100);
+    const description = optionalString(translation?.description, `translations.${locale}.description`, 300);
+    if (name || description) {
+      style.translations = { ...style.translations, [locale]: { name, description } };
+    }
+  }
+
+  if (input.default === true) style.default = true;
+  if (input.enabled === false) style.enabled = false;
+
+  style.provider = optionalString(input.provider, 'provider', 50) || 'gemini';
+  if (!providers.includes(style.provider)) throw invalid(`provider must be one of ${providers.join(', ')}`);
+  style.model = optionalString(input.model, 'model', 100);
+  style.localEffect = optionalString(input.localEffect, 'localEffect', 50);
+  if (style.localEffect && !localEffects.includes(style.localEffect)) {
+    throw invalid(`localEffect must be one of ${localEffects.join(', ')}`);
+  }
+  if (input.fallback !== undefined) {
+    if (!Array.isArray(input.fallback) || input.fallback.some(name => !providers.includes(name))) {
+      throw invalid(`fallback must be a list of ${providers.join(', ')}`);
+    }
+    style.fallback = [...new Set(input.fallback)];
+  }
+  style.thumbnail = optionalString(input.thumbnail, 'thumbnail', 500);
+  style.text = requiredString(input.text, 'text', MAX_PROMPT_LENGTH);
+
+  // Drop unset optional fields so the file stays as hand-written
+  return JSON.parse(JSON.stringify(style));
+}
+
+// The whole file: unique ids and at least one style guests can pick
+function normalizeStyles(input, options) {
+  if (!Array.isArray(input)) throw invalid('The style file must contain a list of styles');
+
+  const styles = input.map(style => normalizeStyle(style, options));
+  const ids = new Set();
+  for (const style of styles) {
+    if (ids.has(style.id)) throw invalid(`Duplicate style id "${style.id}"`);
+    ids.add(style.id);
+  }
+  if (!styles.some(style => style.enabled !== false)) throw invalid('At least one style must be enabled');
+  return styles;
+}
+
+// What a version records: everything but catalog placement
+function versionContent(style) {
+  const { enabled, default: isDefault, ...content } = style;
+  return content;
+}
+
+function createStyleStore({ file, historyFile, providers, localEffects, logger, maxVersions = 20 }) {
+  const options = { providers, localEffects };
+  const events = new EventEmitter();
+  let styles = [];
+  let catalogs = new Map();
+  let lastWritten = null;
+  let history = readHistory();
+
+  // A damaged history must not stop the server: it is moved aside to
+  // *.invalid, so the next save does not overwrite it, and starts over
+  function readHistory() {
+    const empty = { order: [], versions: {} };
+    if (!fs.existsSync(historyFile)) return empty;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+      const valid = stored && Array.isArray(stored.order) && stored.versions && typeof stored.versions === 'object'
+        && Object.values(stored.versions).every(Array.isArray);
+      if (!valid) throw new Error('expected { order, versions }');
+      return stored;
+    } catch (error) {
+      fs.renameSync(historyFile, `${historyFile}.invalid`);
+      logger.error('Style history is unreadable, starting a new one', { historyFile, movedTo: `${historyFile}.invalid`, error: error.message });
+      return empty;
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves half a file behind
+  function writeAtomic(target, content) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const temp = `${target}.tmp`;
+    fs.writeFileSync(temp, content);
+    fs.renameSync(temp, target);
+  }
+
+  function latestVersion(id) {
+    const versions = history.versions[id] || [];
+    return versions[versions.length - 1] || null;
+  }
+
+  // Append a version for every style whose prompt differs from its last one
+  function recordVersions(source) {
+    let changed = false;
+    for (const style of styles) {
+      const content = versionContent(style);
+      const latest = latestVersion(style.id);
+      if (latest && JSON.stringify(latest.style) === JSON.stringify(content)) continue;
+
+      const versions = history.versions[style.id] || [];
+      versions.push({ version: latest ? latest.version + 1 : 1, savedAt: new Date().toISOString(), source, style: content });
+      history.versions[style.id] = versions.slice(-maxVersions);
+      changed = true;
+    }
+
+    const order = styles.map(style => style.id);
+    if (changed || JSON.stringify(order) !== JSON.stringify(history.order)) {
+      history.order = order;
+      writeAtomic(historyFile, JSON.stringify(history, null, 2) + '\n');
+    }
+  }
+
+  function apply(next, source) {
+    styles = next;
+    catalogs = new Map();
+    recordVersions(source);
+    events.emit('change');
+  }
+
+  function persist(next, source) {
+    const content = JSON.stringify(next, null, 2);
+    writeAtomic(file, content);
+    lastWritten = content;
+    apply(next, source);
+  }
+
+  function readFile() {
+    const content = fs.readFileSync(file, 'utf8');
+    return { content, styles: normalizeStyles(JSON.parse(content), options) };
+  }
+
+  // Last recorded version of each style, for a first start with a broken file
+  function fromHistory() {
+    return history.order
+      .map(id => latestVersion(id))
+      .filter(Boolean)
+      .map(version => ({ ...version.style }));
+  }
+
+  try {
+    const loaded = readFile();
+    lastWritten = loaded.content;
+    styles = loaded.styles;
+  } catch (error) {
+    const recovered = fromHistory();
+    if (recovered.length === 0) throw new Error(`${path.basename(file)}: ${error.message}`);
+    logger.error('Style file is invalid, serving the last recorded versions', { file, error: error.message });
+    styles = recovered;
+  }
+  recordVersions('file');
+
+  // Editors often replace the file instead of writing it, so watch the directory
+  let reloadTimer = null;
+  const watcher = fs.watch(path.dirname(file), (eventType, filename) => {
+    if (filename !== path.basename(file)) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+  });
+  watcher.on('error', error => logger.warn('Style file watcher failed', { error: error.message }));
+
+  function reload() {
+    let loaded;
+    try {
+      if (fs.readFileSync(file, 'utf8') === lastWritten) return;
+      loaded = readFile();
+    } catch (error) {
+      logger.error('Style file rejected, keeping the previous styles', { file, error: error.message });
+      return;
+    }
+    lastWritten = loaded.content;
+    apply(loaded.styles, 'file');
+    logger.info('Styles reloaded from file', { styles: styles.map(style => style.id) });
+  }
+
+  function find(id) {
+    const style = styles.find(style => style.id === id);
+    if (!style) throw notFound();
+    return style;
+  }
+
+  // Only one style can be preselected in the guest picker
+  function withDefault(list, id) {
+    return list.map(style => {
+      const { default: isDefault, ...rest } = style;
+      return style.id === id ? { ...rest, default: true } : rest;
+    });
+  }
+
+  function replace(id, style) {
+    const next = styles.map(current => (current.id === id ? style : current));
+    return style.default ? withDefault(next, id) : next;
+  }
+
+  /**
+   * Guest catalog of the enabled styles, optionally limited to an event's
+   * selection. An event whose styles are all disabled gets every enabled style.
+   * @param {string[]} [ids]
+   */
+  function catalog(ids = []) {
+    const key = ids.join(',');
+    if (!catalogs.has(key)) {
+      const enabled = styles.filter(style => style.enabled !== false);
+      const selected = ids.length > 0 ? enabled.filter(style => ids.includes(style.id)) : enabled;
+      catalogs.set(key, createStyleCatalog(selected.length > 0 ? selected : enabled));
+    }
+    return catalogs.get(key);
+  }
+
+  function list() {
+    return styles.map(style => ({ ...style, enabled: style.enabled !== false, version: latestVersion(style.id)?.version || 1 }));
+  }
+
+  function get(id) {
+    return styles.find(style => style.id === id) || null;
+  }
+
+  function create(input) {
+    const style = normalizeStyle(input, options);
+    if (get(style.id)) {
+      throw Object.assign(new Error(`A style with id "${style.id}" already exists`), { status: 409 });
+    }
+
+    const next = [...styles, style];
+    persist(style.default ? withDefault(next, style.id) : next, 'dashboard');
+    logger.info('Style created', { styleId: style.id });
+    return get(style.id);
+  }
+
+  // The id is what events and cached results refer to, so it never changes
+  function update(id, input) {
+    const current = find(id);
+    const style = normalizeStyle({ ...input, id, enabled: input.enabled ?? current.enabled }, options);
+    persist(replace(id, style), 'dashboard');
+    logger.info('Style updated', { styleId: id, version: latestVersion(id).version });
+    return get(id);
+  }
+
+  function setEnabled(id, enabled) {
+    const current = find(id);
+    if (!enabled && styles.filter(style => style.enabled !== false && style.id !== id).length === 0) {
+      throw Object.assign(new Error('The last enabled style cannot be disabled'), { status: 409 });
+    }
+
+    persist(replace(id, normalizeStyle({ ...current, enabled }, options)), 'dashboard');
+    logger.info(enabled ? 'Style enabled' : 'Style disabled', { styleId: id });
+    return get(id);
+  }
+
+  function reorder(ids) {
+    const known = styles.map(style => style.id);
+    if (!Array.isArray(ids) || ids.length !== known.length || [...known].sort().join() !== [...ids].sort().join()) {
+      throw invalid('ids must list every style id exactly once');
+    }
+
+    persist(ids.map(id => find(id)), 'dashboard');
+    logger.info('Styles reordered', { styles: ids });
+    return list();
+  }
+
+  // Newest first
+  function versions(id) {
+    find(id);
+    return [...(history.versions[id] || [])].reverse();
+  }
+
+  // Restores the prompt of an old version as a new version; placement stays
+  function rollback(id, version) {
+    const current = find(id);
+    const target = (history.versions[id] || []).find(entry => entry.version === Number(version));
+    if (!target) throw Object.assign(new Error('Version not found'), { status: 404 });
+
+    const style = normalizeStyle({ ...target.style, id, enabled: current.enabled, default: current.default }, options);
+    persist(replace(id, style), `rollback:${target.version}`);
+    logger.info('Style rolled back', { styleId: id, toVersion: target.version, version: latestVersion(id).version });
+    return get(id);
+  }
+
+  function close() {
+    clearTimeout(reloadTimer);
+    watcher.close();
+  }
+
+  return { events, catalog, list, get, create, update, setEnabled, reorder, versions, rollback, normalize: input => normalizeStyle(input, options), close };
+}
+
+module.exports = { createStyleStore };
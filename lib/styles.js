@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+/**
+ * Image style catalog loaded from image-style-prompts.json.
+ * Styles are addressed by their stable `id`, so reordering the file never
+ * changes which prompt a guest gets. The entry flagged `default: true`
+ * (or the first one) is preselected in the picker.
+ *
+ * `name` and `description` are English; `translations: { th: { name, description } }`
+ * provides them in other guest page languages. `thumbnail` is a sample image
+ * URL relative to the guest page, so it also resolves under /e/:slug/; the
+ * bundled ones are in public/style-thumbnails/.
+ *
+ * `revision` is a short hash of everything that shapes the generated image,
+ * so results cached under `cacheKey(style)` are not served after a prompt edit.
+ */
+function styleRevision(style) {
+  const { text, provider, model, localEffect, fallback } = style;
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([text, provider, model, localEffect, fallback]))
+    .digest('hex')
+    .slice(0, 8);
+}
+
+function cacheKey(style) {
+  return `${style.id}.${style.revision}`;
+}
+
+function createStyleCatalog(definitions) {
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error('image-style-prompts.json must contain at least one style');
+  }
+
+  const styles = definitions.map(style => ({ ...style, revision: styleRevision(style) }));
+  const byId = new Map();
+  for (const style of styles) {
+    if (!style.id || typeof style.id !== 'string') {
+      throw new Error(`Style "${style.name}" is missing an id`);
+    }
+    if (byId.has(style.id)) {
+      throw new Error(`Duplicate style id "${style.id}"`);
+    }
+    byId.set(style.id, style);
+  }
+
+  const defaultStyle = styles.find(style => style.default) || styles[0];
+
+  function get(id) {
+    return byId.get(id) || null;
+  }
+
+  // Catalog entry as exposed to guests (no prompt text), in their language when translated
+  function toPublic(style, locale) {
+    const translation = (style.translations || {})[locale] || {};
+    return {
+      id: style.id,
+      name: translation.name || style.name,
+      description: translation.description || style.description || '',
+      thumbnail: style.thumbnail || null,
+      revision: style.revision,
+      default: style === defaultStyle
+    };
+  }
+
+  function list(locale) {
+    return styles.map(style => toPublic(style, locale));
+  }
+
+  return { get, list, defaultStyle };
+}
+
+module.exports = { createStyleCatalog, cacheKey };
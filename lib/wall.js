@@ -0,0 +1,68 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Photo feed for the /wall projector page.
+ * Follows print queue changes and keeps the approved photos, in approval
+ * order. Files waiting for review or rejected by a moderator never reach
+ * the wall.
+ *
+ * Events on `events`:
+ *   'photo'  (photo)  a photo became visible on the wall
+ *   'remove' (id)     a photo was rejected after it had been shown
+ */
+const VISIBLE_STATUSES = ['pending', 'printing', 'done', 'failed'];
+
+function createWallFeed({ printQueue, maxPhotos = 200 }) {
+  const photos = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // one listener per connected screen
+
+  function toPublic(photo) {
+    return {
+      id: photo.id,
+      message: photo.message,
+      approvedAt: photo.approvedAt
+    };
+  }
+
+  printQueue.events.on('change', (entry) => {
+    const photo = photos.get(entry.id);
+
+    if (VISIBLE_STATUSES.includes(entry.status)) {
+      if (photo) {
+        // Keep following the file as it moves from the queue to the processed folder
+        photo.folder = entry.folder;
+        return;
+      }
+
+      const added = {
+        id: entry.id,
+        folder: entry.folder,
+        message: entry.message,
+        approvedAt: new Date()
+      };
+      photos.set(entry.id, added);
+
+      if (photos.size > maxPhotos) {
+        photos.delete(photos.keys().next().value);
+      }
+      events.emit('photo', toPublic(added));
+    } else if (photo) {
+      photos.delete(entry.id);
+      events.emit('remove', entry.id);
+    }
+  });
+
+  function get(id) {
+    return photos.get(id) || null;
+  }
+
+  // Newest last, like a timeline
+  function list(limit = maxPhotos) {
+    return [...photos.values()].slice(-limit).map(toPublic);
+  }
+
+  return { events, get, list };
+}
+
+module.exports = { createWallFeed };
@@ -0,0 +1,88 @@
+// ---------- Browser database (IndexedDB WeddingCardDB) ----------
+//
+// Shared by the guest page and the service worker (sw.js), so both open the
+// same schema. Bump VERSION with every store change: a page still holding an
+// older connection closes it on versionchange instead of blocking the upgrade.
+//
+//   images   optimized results by photo hash + style, as Blobs with a
+//            lastUsed index for LRU eviction (imageCache in script.js)
+//   uploads  cards that could not be sent yet (upload-queue.js)
+
+const CardDB = (() => {
+    const NAME = 'WeddingCardDB';
+    const VERSION = 4;
+    let opening = null;
+
+    // Synchronous, because an upgrade transaction closes on the first await
+    function dataUrlToBlob(dataUrl) {
+        const [header, base64] = dataUrl.split(',');
+        const type = (header.match(/^data:([^;]+)/) || [])[1] || 'image/jpeg';
+        return new Blob([Uint8Array.from(atob(base64), c => c.charCodeAt(0))], { type });
+    }
+
+    // Version 3 and earlier kept base64 data URLs, a third larger than the image
+    function migrateToBlobs(images) {
+        images.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+
+            const { data, timestamp, ...entry } = cursor.value;
+            if (typeof data === 'string') {
+                try {
+                    const blob = dataUrlToBlob(data);
+                    const time = timestamp || Date.now();
+                    cursor.update({ ...entry, blob, size: blob.size, createdAt: time, lastUsed: time });
+                } catch (err) {
+                    cursor.delete();
+                }
+            }
+            cursor.continue();
+        };
+    }
+
+    function upgrade(e) {
+        const db = e.target.result;
+        const tx = e.target.transaction;
+
+        if (!db.objectStoreNames.contains('images')) {
+            db.createObjectStore('images', { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+        } else {
+            const images = tx.objectStore('images');
+            if (e.oldVersion < 2) {
+                // Version 1 keyed entries by file name, which no lookup can match any more
+                images.clear();
+            } else if (e.oldVersion < 4) {
+                migrateToBlobs(images);
+            }
+            if (!images.indexNames.contains('lastUsed')) images.createIndex('lastUsed', 'lastUsed');
+        }
+
+        if (!db.objectStoreNames.contains('uploads')) {
+            db.createObjectStore('uploads', { keyPath: 'id', autoIncrement: true });
+        }
+    }
+
+    // Resolves to null where IndexedDB is unavailable (private mode on old Safari)
+    function open() {
+        if (opening) return opening;
+
+        opening = new Promise((resolve) => {
+            if (!self.indexedDB) return resolve(null);
+            const req = indexedDB.open(NAME, VERSION);
+
+            req.onerror = () => resolve(null);
+            req.onupgradeneeded = upgrade;
+            req.onsuccess = (e) => {
+                const db = e.target.result;
+                db.onversionchange = () => {
+                    db.close();
+                    opening = null;
+                };
+                resolve(db);
+            };
+        });
+        return opening;
+    }
+
+    return { open };
+})();
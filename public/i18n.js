@@ -0,0 +1,77 @@
+// ---------- Guest page translations ----------
+//
+// Usage:
+//   I18n.addBundle('th', { upload: { title: 'เลือกรูป {n} รูป' } });  // locales/<locale>.js
+//   I18n.t('upload.title', { n: 2 })     // '{name}' placeholders are filled from params
+//   I18n.apply();                        // fills [data-i18n] text and [data-i18n-placeholder]
+//   I18n.setLocale('en');                // language switcher; remembered on this phone
+//
+// The first visit follows navigator.languages. Keys missing from a bundle fall
+// back to English, then to the key itself.
+
+const I18n = (() => {
+    const STORAGE_KEY = 'guest_locale';
+    const FALLBACK_LOCALE = 'en';
+    const bundles = {};
+    let locale = null;
+
+    function addBundle(name, messages) {
+        bundles[name] = messages;
+    }
+
+    function supported() {
+        return Object.keys(bundles);
+    }
+
+    // Each bundle names its own language, for the switcher
+    function languageName(name) {
+        return lookup(bundles[name], 'language.name') || name;
+    }
+
+    function detectLocale() {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved && bundles[saved]) return saved;
+
+        for (const language of navigator.languages || [navigator.language]) {
+            const base = String(language).toLowerCase().split('-')[0];
+            if (bundles[base]) return base;
+        }
+        return FALLBACK_LOCALE;
+    }
+
+    function lookup(bundle, key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+    }
+
+    function has(key) {
+        return typeof lookup(bundles[getLocale()], key) === 'string' || typeof lookup(bundles[FALLBACK_LOCALE], key) === 'string';
+    }
+
+    function t(key, params = {}) {
+        let text = lookup(bundles[getLocale()], key);
+        if (typeof text !== 'string') text = lookup(bundles[FALLBACK_LOCALE], key);
+        if (typeof text !== 'string') return key;
+
+        return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    function apply(root = document) {
+        document.documentElement.lang = getLocale();
+        root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    }
+
+    function getLocale() {
+        if (!locale) locale = detectLocale();
+        return locale;
+    }
+
+    function setLocale(name) {
+        if (!bundles[name]) return;
+        locale = name;
+        localStorage.setItem(STORAGE_KEY, name);
+        apply();
+    }
+
+    return { addBundle, supported, languageName, getLocale, setLocale, has, t, apply };
+})();
@@ -0,0 +1,127 @@
+// English guest page copy, see i18n.js
+I18n.addBundle('en', {
+    language: { name: 'English' },
+    page: { title: 'Wedding Greeting Card - Photo Upload' },
+    header: {
+        title: '📸 Wedding Greeting Card',
+        subtitle: 'Step 1: Take a photo of your friends at the party and upload it to print your card 📸'
+    },
+    cheer: {
+        title: '📳 Shake your phone to cheer for the couple!',
+        namePlaceholder: 'Your name on the leaderboard',
+        start: '📳 Tap to start shaking'
+    },
+    upload: {
+        click: 'Click to Upload',
+        hint: 'or drag & drop · pick 2–4 photos for a collage',
+        selectPhoto: 'Click to select a photo',
+        success: 'Uploaded! Step 2: we are printing your greeting card at the reception desk. Write your wishes for the couple on the card and pin it to the board 👰🤵💌',
+        error: 'Error: {reason}'
+    },
+    optimize: {
+        toggle: 'Make it cuter:',
+        failed: 'Optimization failed: {reason}',
+        offlineFallback: 'The AI service is unavailable right now, so an offline filter was used instead',
+        expired: 'Optimized image expired, please try again'
+    },
+    style: { label: 'Select Style:' },
+    shake: {
+        enable: '📳 Turn on shake to pick a random style',
+        hint: '📳 Shake your phone for a random style · shake hard 3 times to print your card',
+        permissionDenied: 'Shake mode could not be turned on. Please allow Motion & Orientation access in Safari settings',
+        confirmPrint: 'Print your card now?'
+    },
+    message: {
+        label: 'Greeting message (optional):',
+        placeholder: 'Write your wishes for the couple and we will print them on your card'
+    },
+    submit: 'Print photo',
+    loading: {
+        uploading: 'Uploading your photo...',
+        queued: 'Waiting to create your image, number {position} in line...',
+        retry: 'Creating your image (retry {attempt})...',
+        generating: 'Creating your image...'
+    },
+    allowance: {
+        optimize: '{n} AI images left',
+        print: '{n} card prints left'
+    },
+    file: {
+        invalid: 'Please select a valid image file',
+        tooLarge: 'File size must be less than {maxMb}MB'
+    },
+    collage: {
+        tooMany: 'You can pick up to 4 photos per card',
+        unavailable: 'Collages are not available right now, please pick one photo',
+        selected: 'Collage of {n} photos',
+        expired: 'Collage expired, please try again',
+        layouts: {
+            'side-by-side': 'Side by side',
+            stacked: 'Stacked',
+            'feature-left': 'Big left',
+            'feature-top': 'Big top',
+            grid: 'Grid',
+            'feature-top-3': 'Big top, three below'
+        }
+    },
+    job: {
+        queued: 'Uploaded! Your card is number {position} in the print queue 🖨️',
+        printing: 'Your greeting card is printing now 🖨️💌',
+        printed: 'Your card is printed! Step 2: pick it up at the reception desk, write your wishes for the couple and pin it to the board 👰🤵💌',
+        failed: 'Sorry, your card could not be printed. Please ask at the reception desk 🙏',
+        rejected: 'Sorry, this photo was not approved. Try another photo or ask at the reception desk 🙏'
+    },
+    // "All styles" comparison grid
+    compare: {
+        button: '✨ Show me all styles',
+        original: 'Original',
+        hint: 'Tap the one you like to print it',
+        failed: 'Could not generate'
+    },
+    history: {
+        title: 'My generated images:',
+        use: 'Use this image'
+    },
+    // Cards kept on the phone while the venue Wi-Fi is down
+    pending: {
+        queued: 'No connection right now. Your card is saved on this phone and will be sent automatically when you are back online 📶',
+        count: '{n} card(s) waiting · sent automatically when back online',
+        sendNow: 'Send now',
+        sent: 'Your saved card has been sent 💌',
+        failed: 'Your saved card could not be sent: {reason}'
+    },
+    // Server error codes (the `code` field of API error responses)
+    errors: {
+        INTERNAL_ERROR: 'Something went wrong, please try again',
+        NOT_FOUND: 'Not found',
+        EVENT_NOT_FOUND: 'This event does not exist, please check the link',
+        UPLOADS_DISABLED: 'Photo uploads are paused right now',
+        UPLOAD_FAILED: 'Upload failed, please try again',
+        NO_IMAGE: 'Please select a photo first',
+        INVALID_UPLOAD: 'The photo could not be sent, please try again',
+        TOO_MANY_FILES: 'Too many photos selected',
+        FILE_TOO_LARGE: 'File size must be less than {maxFileSizeMb}MB',
+        UNSUPPORTED_IMAGE: 'Please use a JPEG, PNG, HEIC, WebP, GIF or TIFF image',
+        IMAGE_UNREADABLE: 'This photo could not be read, it may be damaged',
+        MESSAGE_NOT_TEXT: 'The greeting message must be text',
+        MESSAGE_TOO_LONG: 'The greeting message can be at most {maxLength} characters',
+        OPTIMIZATION_DISABLED: 'AI images are paused right now',
+        INVALID_STYLE: 'That style is not available, please pick another one',
+        INVALID_HASH: 'The photo could not be identified, please select it again',
+        NOT_CACHED: 'No image has been created for this photo yet',
+        QUEUE_FULL: 'Too many images are waiting to be created, please try again shortly',
+        OPTIMIZE_JOB_NOT_FOUND: 'The image job was not found, please try again',
+        RESULT_NOT_READY: 'The image is not ready or has expired, please try again',
+        OPTIMIZE_TIMEOUT: 'Creating the image took too long, please try again',
+        OPTIMIZE_FAILED: 'The image could not be created, please try again or pick another style',
+        COLLAGE_PHOTO_COUNT: 'A collage needs 2 to 4 photos',
+        INVALID_LAYOUT: 'That collage layout does not fit the number of photos',
+        RATE_LIMITED: 'Too many requests, please wait {retryAfter} seconds and try again',
+        OPTIMIZE_QUOTA_EXCEEDED: 'You have used all of your AI images for this event',
+        PRINT_QUOTA_EXCEEDED: 'You have used all of your prints for this event',
+        JOB_NOT_FOUND: 'This print job was not found',
+        PHOTO_NOT_FOUND: 'This photo was not found',
+        CHEER_NOT_RUNNING: 'The cheer round has ended',
+        INVALID_CHEER_SAMPLE: 'Your shake could not be sent'
+    }
+});
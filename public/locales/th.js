@@ -0,0 +1,127 @@
+// Thai guest page copy, see i18n.js
+I18n.addBundle('th', {
+    language: { name: 'ไทย' },
+    page: { title: 'การ์ดอวยพรงานแต่งงาน - อัปโหลดรูป' },
+    header: {
+        title: '📸 การ์ดอวยพรงานแต่งงาน',
+        subtitle: 'ขั้นตอนที่ 1: ถ่ายภาพของเพื่อนๆ ที่งานแล้วกดอัปโหลดเพื่อพิมพ์การ์ดได้เลยครับ 📸'
+    },
+    cheer: {
+        title: '📳 เขย่ามือถือเชียร์บ่าวสาวเลย!',
+        namePlaceholder: 'ชื่อของคุณบนกระดานผู้นำ',
+        start: '📳 แตะเพื่อเริ่มเขย่า'
+    },
+    upload: {
+        click: 'แตะเพื่อเลือกรูป',
+        hint: 'หรือลากรูปมาวาง · เลือก 2–4 รูปเพื่อทำคอลลาจ',
+        selectPhoto: 'แตะเพื่อเลือกรูป',
+        success: 'อัปโหลดสำเร็จ! ขั้นตอนที่ 2: เรากำลังพิมพ์การ์ดอวยพรของคุณที่โต๊ะรับแขก สามารถเขียนข้อความอวยพรบ่าวสาวบนการ์ด แล้วนำไปจัดแสดงบนบอร์ดเลยครับ 👰🤵💌',
+        error: 'เกิดข้อผิดพลาด: {reason}'
+    },
+    optimize: {
+        toggle: 'เพิ่มความน่ารัก:',
+        failed: 'สร้างภาพไม่สำเร็จ: {reason}',
+        offlineFallback: 'ตอนนี้ระบบ AI ไม่พร้อมใช้งาน จึงใช้ฟิลเตอร์แบบออฟไลน์แทนครับ',
+        expired: 'ภาพที่สร้างไว้หมดอายุแล้ว กรุณาลองใหม่อีกครั้งครับ'
+    },
+    style: { label: 'เลือกสไตล์:' },
+    shake: {
+        enable: '📳 เปิดโหมดเขย่าเพื่อสุ่มสไตล์',
+        hint: '📳 เขย่ามือถือเพื่อสุ่มสไตล์ · เขย่าแรงๆ 3 ครั้งเพื่อพิมพ์การ์ด',
+        permissionDenied: 'ไม่สามารถเปิดโหมดเขย่าได้ กรุณาอนุญาต Motion & Orientation ในการตั้งค่า Safari',
+        confirmPrint: 'พิมพ์การ์ดเลยไหมครับ?'
+    },
+    message: {
+        label: 'ข้อความอวยพร (ไม่บังคับ):',
+        placeholder: 'พิมพ์คำอวยพรถึงบ่าวสาว แล้วเราจะพิมพ์ลงบนการ์ดให้ครับ'
+    },
+    submit: 'พิมพ์ภาพ',
+    loading: {
+        uploading: 'กำลังอัปโหลดรูปของคุณ...',
+        queued: 'รอคิวสร้างภาพ ลำดับที่ {position}...',
+        retry: 'กำลังสร้างภาพ (ลองใหม่ครั้งที่ {attempt})...',
+        generating: 'กำลังสร้างภาพ...'
+    },
+    allowance: {
+        optimize: 'สร้างภาพ AI ได้อีก {n} ครั้ง',
+        print: 'พิมพ์การ์ดได้อีก {n} ใบ'
+    },
+    file: {
+        invalid: 'กรุณาเลือกไฟล์รูปภาพครับ',
+        tooLarge: 'ไฟล์ต้องมีขนาดไม่เกิน {maxMb}MB ครับ'
+    },
+    collage: {
+        tooMany: 'เลือกได้สูงสุด 4 รูปต่อการ์ดครับ',
+        unavailable: 'ตอนนี้ยังทำคอลลาจไม่ได้ กรุณาเลือกทีละรูปครับ',
+        selected: 'คอลลาจ {n} รูป',
+        expired: 'คอลลาจหมดอายุแล้ว กรุณาลองใหม่อีกครั้งครับ',
+        layouts: {
+            'side-by-side': 'วางคู่กัน',
+            stacked: 'วางซ้อนบนล่าง',
+            'feature-left': 'รูปใหญ่ด้านซ้าย',
+            'feature-top': 'รูปใหญ่ด้านบน',
+            grid: 'ตาราง 4 ช่อง',
+            'feature-top-3': 'รูปใหญ่ด้านบน สามรูปด้านล่าง'
+        }
+    },
+    job: {
+        queued: 'อัปโหลดสำเร็จ! การ์ดของคุณอยู่ในคิวพิมพ์ลำดับที่ {position} 🖨️',
+        printing: 'กำลังพิมพ์การ์ดอวยพรของคุณอยู่ครับ 🖨️💌',
+        printed: 'พิมพ์การ์ดเสร็จแล้ว! ขั้นตอนที่ 2: รับการ์ดได้ที่โต๊ะรับแขก เขียนข้อความอวยพรบ่าวสาว แล้วนำไปจัดแสดงบนบอร์ดเลยครับ 👰🤵💌',
+        failed: 'ขออภัย พิมพ์การ์ดไม่สำเร็จ กรุณาติดต่อโต๊ะรับแขกครับ 🙏',
+        rejected: 'ขออภัย ภาพนี้ไม่ผ่านการตรวจสอบ ลองเลือกภาพอื่นหรือติดต่อโต๊ะรับแขกครับ 🙏'
+    },
+    // "All styles" comparison grid
+    compare: {
+        button: '✨ ดูภาพทุกสไตล์',
+        original: 'ภาพต้นฉบับ',
+        hint: 'แตะภาพที่ชอบเพื่อใช้พิมพ์การ์ดครับ',
+        failed: 'สร้างไม่สำเร็จ'
+    },
+    history: {
+        title: 'ภาพที่สร้างไว้ของฉัน:',
+        use: 'ใช้ภาพนี้'
+    },
+    // Cards kept on the phone while the venue Wi-Fi is down
+    pending: {
+        queued: 'ตอนนี้ยังเชื่อมต่ออินเทอร์เน็ตไม่ได้ เราเก็บการ์ดของคุณไว้แล้ว และจะส่งให้อัตโนมัติเมื่อกลับมาออนไลน์ครับ 📶',
+        count: 'รอส่ง {n} การ์ด · จะส่งให้อัตโนมัติเมื่อกลับมาออนไลน์',
+        sendNow: 'ส่งตอนนี้',
+        sent: 'ส่งการ์ดที่ค้างไว้เรียบร้อยแล้วครับ 💌',
+        failed: 'ส่งการ์ดที่ค้างไว้ไม่สำเร็จ: {reason}'
+    },
+    // Server error codes (the `code` field of API error responses)
+    errors: {
+        INTERNAL_ERROR: 'ระบบขัดข้อง กรุณาลองใหม่อีกครั้งครับ',
+        NOT_FOUND: 'ไม่พบสิ่งที่ต้องการครับ',
+        EVENT_NOT_FOUND: 'ไม่พบงานนี้ กรุณาตรวจสอบลิงก์อีกครั้งครับ',
+        UPLOADS_DISABLED: 'ตอนนี้ปิดรับการอัปโหลดรูปชั่วคราวครับ',
+        UPLOAD_FAILED: 'อัปโหลดไม่สำเร็จ กรุณาลองใหม่อีกครั้งครับ',
+        NO_IMAGE: 'กรุณาเลือกรูปก่อนครับ',
+        INVALID_UPLOAD: 'ส่งไฟล์ไม่สำเร็จ กรุณาลองใหม่อีกครั้งครับ',
+        TOO_MANY_FILES: 'เลือกรูปมากเกินไปครับ',
+        FILE_TOO_LARGE: 'ไฟล์ต้องมีขนาดไม่เกิน {maxFileSizeMb}MB ครับ',
+        UNSUPPORTED_IMAGE: 'รองรับเฉพาะไฟล์ JPEG, PNG, HEIC, WebP, GIF หรือ TIFF ครับ',
+        IMAGE_UNREADABLE: 'เปิดรูปนี้ไม่ได้ ไฟล์อาจเสียหายครับ',
+        MESSAGE_NOT_TEXT: 'ข้อความอวยพรต้องเป็นตัวอักษรครับ',
+        MESSAGE_TOO_LONG: 'ข้อความอวยพรยาวได้ไม่เกิน {maxLength} ตัวอักษรครับ',
+        OPTIMIZATION_DISABLED: 'ตอนนี้ปิดการสร้างภาพ AI ชั่วคราวครับ',
+        INVALID_STYLE: 'ไม่พบสไตล์ที่เลือก กรุณาเลือกใหม่ครับ',
+        INVALID_HASH: 'ข้อมูลรูปไม่ถูกต้อง กรุณาเลือกรูปใหม่ครับ',
+        NOT_CACHED: 'ยังไม่มีภาพที่สร้างไว้สำหรับรูปนี้ครับ',
+        QUEUE_FULL: 'คิวสร้างภาพเต็มแล้ว กรุณารอสักครู่แล้วลองใหม่ครับ',
+        OPTIMIZE_JOB_NOT_FOUND: 'ไม่พบงานสร้างภาพ กรุณาลองใหม่อีกครั้งครับ',
+        RESULT_NOT_READY: 'ภาพยังไม่พร้อมหรือหมดอายุแล้ว กรุณาลองใหม่อีกครั้งครับ',
+        OPTIMIZE_TIMEOUT: 'สร้างภาพนานเกินไป กรุณาลองใหม่อีกครั้งครับ',
+        OPTIMIZE_FAILED: 'สร้างภาพไม่สำเร็จ กรุณาลองใหม่หรือเลือกสไตล์อื่นครับ',
+        COLLAGE_PHOTO_COUNT: 'คอลลาจต้องมี 2–4 รูปครับ',
+        INVALID_LAYOUT: 'รูปแบบคอลลาจไม่ตรงกับจำนวนรูปครับ',
+        RATE_LIMITED: 'ส่งคำขอถี่เกินไป กรุณารอ {retryAfter} วินาทีแล้วลองใหม่ครับ',
+        OPTIMIZE_QUOTA_EXCEEDED: 'คุณใช้สิทธิ์สร้างภาพ AI ครบแล้วสำหรับงานนี้ครับ',
+        PRINT_QUOTA_EXCEEDED: 'คุณใช้สิทธิ์พิมพ์การ์ดครบแล้วสำหรับงานนี้ครับ',
+        JOB_NOT_FOUND: 'ไม่พบงานพิมพ์นี้ครับ',
+        PHOTO_NOT_FOUND: 'ไม่พบรูปนี้ครับ',
+        CHEER_NOT_RUNNING: 'รอบเชียร์จบแล้วครับ',
+        INVALID_CHEER_SAMPLE: 'ส่งข้อมูลการเขย่าไม่สำเร็จครับ'
+    }
+});
@@ -5,145 +5,363 @@ const polaroidImage = document.getElementById('polaroidImage');
 const uploadPlaceholder = document.getElementById('uploadPlaceholder');
 const submitBtn = document.getElementById('submitBtn');
 const loading = document.getElementById('loading');
+const loadingText = document.getElementById('loadingText');
+const allowance = document.getElementById('allowance');
+const collagePreview = document.getElementById('collagePreview');
+const layoutPicker = document.getElementById('layoutPicker');
 const message = document.getElementById('message');
 const filename = document.getElementById('filename');
 const optimizeToggle = document.getElementById('optimizeToggle');
 const toggleContainer = document.getElementById('toggleContainer');
 const styleSelector = document.getElementById('styleSelector');
 const imageStyleSelect = document.getElementById('imageStyleSelect');
+const styleThumbnail = document.getElementById('styleThumbnail');
+const styleDescription = document.getElementById('styleDescription');
+const messageBox = document.getElementById('messageBox');
+const greetingMessage = document.getElementById('greetingMessage');
+const messageCounter = document.getElementById('messageCounter');
+const shakeBtn = document.getElementById('shakeBtn');
+const shakeHint = document.getElementById('shakeHint');
+const cheerBanner = document.getElementById('cheerBanner');
+const cheerMeterFill = document.getElementById('cheerMeterFill');
+const cheerName = document.getElementById('cheerName');
+const cheerBtn = document.getElementById('cheerBtn');
 
 let selectedFile = null;
 let originalImageDataUrl = null;
-let optimizedImageDataUrl = null;
+let optimizedImageUrl = null;  // data: URL of a styled collage, or an object URL of a cached Blob
+let jobTracker = null;
+let optimizationEnabled = true;
+let styleCatalog = [];
+let cheerActive = false;
+let maxUploadSizeMb = 25;
+let currentEvent = null;
+let eventMessages = {};  // per-event overrides of the locale bundles, see applyEvent
+let lastRemaining = null;
+let collagePhotos = [];   // { file, url } when 2-4 photos are picked
+let collageLayouts = [];
+let collageLayout = null;
 const CACHE_KEY_PREFIX = 'wedding_card_';
 
-// ---------- Cache Layer (Async IndexedDB + Fallback LocalStorage) ----------
+const t = I18n.t;
+I18n.apply();
+filename.textContent = t('upload.selectPhoto');
+
+// ---------- Cache Layer (IndexedDB Blobs, LRU within a storage budget) ----------
 
 const imageCache = (() => {
-    const DB_NAME = 'WeddingCardDB';
     const STORE = 'images';
-    const VERSION = 1;
-
-    function getCompositeKey(fileName, style) {
-        return `${fileName}_style_${style}`;
-    }
+    // The cache may use this share of what the browser grants the site, up to a cap
+    const BUDGET_SHARE = 0.1;
+    const MAX_BUDGET_BYTES = 200 * 1024 * 1024;
+    const FALLBACK_BUDGET_BYTES = 50 * 1024 * 1024;
 
-    async function openDB() {
-        return new Promise((resolve, reject) => {
-            if (!window.indexedDB) return resolve(null);
-            const req = indexedDB.open(DB_NAME, VERSION);
+    // Earlier versions spilled data URLs into localStorage; give that space back
+    Object.keys(localStorage)
+        .filter(key => key.startsWith(CACHE_KEY_PREFIX))
+        .forEach(key => localStorage.removeItem(key));
 
-            req.onerror = () => resolve(null);
-
-            req.onupgradeneeded = (e) => {
-                const db = e.target.result;
-                if (!db.objectStoreNames.contains(STORE)) {
-                    db.createObjectStore(STORE, { keyPath: 'key' });
-                }
-            };
+    // Same key as the server cache: SHA-256 of the photo bytes plus the style id and revision
+    function getCompositeKey(hash, style) {
+        return `${hash}_${style}`;
+    }
 
-            req.onsuccess = (e) => resolve(e.target.result);
+    function transaction(db, mode, fn) {
+        return new Promise((resolve) => {
+            const tx = db.transaction([STORE], mode);
+            let result = null;
+            fn(tx.objectStore(STORE), (value) => { result = value; });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => resolve(null);
+            tx.onabort = () => resolve(null);
         });
     }
 
-    async function get(fileName, style) {
-        const key = getCompositeKey(fileName, style);
-        const db = await openDB();
-        if (!db) {
-            const cached = localStorage.getItem(CACHE_KEY_PREFIX + key);
-            return cached || null;
+    async function budget() {
+        try {
+            const { quota } = await navigator.storage.estimate();
+            if (quota) return Math.min(quota * BUDGET_SHARE, MAX_BUDGET_BYTES);
+        } catch (e) {
+            // navigator.storage needs a secure context
         }
+        return FALLBACK_BUDGET_BYTES;
+    }
 
-        return new Promise((resolve) => {
-            const tx = db.transaction([STORE], 'readonly');
-            const store = tx.objectStore(STORE);
-            const req = store.get(key);
-
-            req.onerror = () => {
-                const cached = localStorage.getItem(CACHE_KEY_PREFIX + key);
-                resolve(cached || null);
-            };
+    // Without IndexedDB nothing is cached; the server cache still saves the generation
+    async function get(hash, style) {
+        const db = await CardDB.open();
+        if (!db) return null;
 
+        return transaction(db, 'readwrite', (store, done) => {
+            const req = store.get(getCompositeKey(hash, style));
             req.onsuccess = () => {
-                if (req.result) resolve(req.result.data);
-                else {
-                    const cached = localStorage.getItem(CACHE_KEY_PREFIX + key);
-                    resolve(cached || null);
-                }
+                if (!req.result) return;
+                store.put({ ...req.result, lastUsed: Date.now() });
+                done(req.result.blob);
             };
         });
     }
 
-    async function set(fileName, style, dataUrl) {
-        const key = getCompositeKey(fileName, style);
-        const db = await openDB();
-
-        if (!db) {
-            try {
-                localStorage.setItem(CACHE_KEY_PREFIX + key, dataUrl);
-            } catch (e) {
-                console.warn('Storage quota exceeded:', e);
-            }
-            return;
-        }
-
-        return new Promise((resolve) => {
-            const tx = db.transaction([STORE], 'readwrite');
-            const store = tx.objectStore(STORE);
+    async function set(hash, style, blob, fileName) {
+        const db = await CardDB.open();
+        if (!db) return;
 
+        const now = Date.now();
+        await transaction(db, 'readwrite', (store) => {
             store.put({
-                key,
+                key: getCompositeKey(hash, style),
+                hash,
                 fileName,
                 style,
-                data: dataUrl,
-                timestamp: Date.now()
+                blob,
+                size: blob.size,
+                createdAt: now,
+                lastUsed: now
             });
+        });
+        await evict();
+    }
 
-            tx.oncomplete = () => resolve();
-            tx.onerror = () => {
-                try {
-                    localStorage.setItem(CACHE_KEY_PREFIX + key, dataUrl);
-                } catch (e) {
-                    console.warn('Storage quota exceeded:', e);
+    // Drop least recently used results until the cache fits its budget
+    async function evict() {
+        const db = await CardDB.open();
+        if (!db) return;
+
+        const limit = await budget();
+        const evicted = await transaction(db, 'readwrite', (store, done) => {
+            const entries = [];
+            store.index('lastUsed').openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    entries.push({ key: cursor.primaryKey, size: cursor.value.size || 0 });
+                    cursor.continue();
+                    return;
+                }
+
+                let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+                let count = 0;
+                for (const entry of entries) {
+                    if (total <= limit) break;
+                    store.delete(entry.key);
+                    total -= entry.size;
+                    count++;
                 }
-                resolve();
+                done(count);
             };
         });
+        if (evicted) console.info(`Image cache: evicted ${evicted} old result(s)`);
+    }
+
+    // Newest first, for the "my generated images" strip
+    async function history(limit) {
+        const db = await CardDB.open();
+        if (!db) return [];
+
+        const entries = await transaction(db, 'readonly', (store, done) => {
+            const req = store.getAll();
+            req.onsuccess = () => done(req.result);
+        });
+        return (entries || []).sort((a, b) => b.createdAt - a.createdAt).slice(0, limit);
     }
 
     async function dumpStore() {
-        const db = await openDB();
-        const tx = db.transaction('imageCache', 'readonly');
-        const store = tx.objectStore('imageCache');
+        const db = await CardDB.open();
+        if (!db) return [];
 
-        return new Promise((resolve, reject) => {
+        return transaction(db, 'readonly', (store, done) => {
             const result = [];
-            const req = store.openCursor();
-
-            req.onsuccess = (e) => {
-            const cursor = e.target.result;
-            if (!cursor) return resolve(result);
-            result.push({ key: cursor.key, value: cursor.value });
-            cursor.continue();
+            store.openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return done(result);
+                result.push({ key: cursor.key, value: cursor.value });
+                cursor.continue();
             };
-
-            req.onerror = reject;
         });
     }
 
     window.dumpCache = dumpStore;
 
-    return { get, set };
+    return { get, set, history };
 })();
 
+// SHA-256 of a file as hex, or null where WebCrypto is unavailable (plain HTTP)
+const fileHashes = new WeakMap();
+
+function hashFile(file) {
+    if (!window.crypto?.subtle) return Promise.resolve(null);
+
+    if (!fileHashes.has(file)) {
+        fileHashes.set(file, file.arrayBuffer()
+            .then(bytes => crypto.subtle.digest('SHA-256', bytes))
+            .then(digest => [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join(''))
+            .catch(() => null));
+    }
+    return fileHashes.get(file);
+}
+
+
+// ---------- Runtime Settings ----------
+
+// Moderators can switch AI optimization off from /admin while the page is open
+async function loadSettings() {
+    try {
+        const response = await fetch('api/settings');
+        if (!response.ok) return;
+        const settings = await response.json();
+        optimizationEnabled = settings.optimizationEnabled;
+        maxUploadSizeMb = settings.maxUploadSizeMb || maxUploadSizeMb;
+        if (settings.messageMaxLength) {
+            greetingMessage.maxLength = settings.messageMaxLength;
+            updateMessageCounter();
+        }
+        if (settings.event) applyEvent(settings.event);
+    } catch (e) {
+        console.warn('Could not load settings:', e);
+    }
+}
+
+// Texts and theme of the wedding this page belongs to (/e/:slug)
+function applyEvent(event) {
+    currentEvent = event;
+    eventMessages = event.messages || {};
+
+    if (eventMessages.title) document.getElementById('eventTitle').textContent = eventMessages.title;
+    if (eventMessages.subtitle) document.getElementById('eventSubtitle').textContent = eventMessages.subtitle;
+    if (eventMessages.messagePlaceholder) greetingMessage.placeholder = eventMessages.messagePlaceholder;
+    if (event.name) document.title = `${event.name} · ${t('page.title')}`;
+
+    const theme = event.theme || {};
+    const root = document.documentElement.style;
+    if (theme.accent) {
+        root.setProperty('--accent', theme.accent);
+        root.setProperty('--accent-start', theme.accent);
+    }
+    if (theme.gradientStart) root.setProperty('--gradient-start', theme.gradientStart);
+    if (theme.gradientEnd) root.setProperty('--gradient-end', theme.gradientEnd);
+    if (theme.backgroundImage) root.setProperty('--background-image', `url("${theme.backgroundImage}")`);
+}
+
+loadSettings();
+
+// ---------- Language ----------
+
+const langSwitcher = document.getElementById('langSwitcher');
+
+function renderLanguageSwitcher() {
+    langSwitcher.innerHTML = '';
+    for (const locale of I18n.supported()) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = I18n.languageName(locale);
+        button.classList.toggle('active', locale === I18n.getLocale());
+        button.addEventListener('click', () => switchLanguage(locale));
+        langSwitcher.appendChild(button);
+    }
+}
+
+// Re-render everything that was filled in from code rather than [data-i18n]
+function switchLanguage(locale) {
+    I18n.setLocale(locale);
+    renderLanguageSwitcher();
+    if (currentEvent) applyEvent(currentEvent);
+    if (lastRemaining) showAllowance(lastRemaining);
+    refreshPendingUploads();
+    if (!hasPhotos()) filename.textContent = t('upload.selectPhoto');
+    if (collagePhotos.length > 0) {
+        filename.textContent = t('collage.selected', { n: collagePhotos.length });
+        renderLayoutPicker(collageLayouts.filter(layout => layout.photos === collagePhotos.length));
+    }
+    loadStyles();
+}
+
+renderLanguageSwitcher();
+
+// ---------- Guest Allowance ----------
+
+function showAllowance(remaining) {
+    lastRemaining = remaining;
+    const parts = [];
+    if (remaining.optimize !== null && optimizationEnabled) parts.push(t('allowance.optimize', { n: remaining.optimize }));
+    if (remaining.print !== null) parts.push(t('allowance.print', { n: remaining.print }));
+
+    allowance.textContent = parts.join(' · ');
+    allowance.style.display = parts.length > 0 ? 'block' : 'none';
+}
+
+async function loadAllowance() {
+    try {
+        const response = await fetch('api/quota', { headers: guestHeaders() });
+        if (response.ok) showAllowance(await response.json());
+    } catch (e) {
+        console.warn('Could not load guest allowance:', e);
+    }
+}
+
+loadAllowance();
+
+// ---------- Style Catalog ----------
+
+// Build the style picker from the server catalog so options always match the prompts
+async function loadStyles() {
+    try {
+        const response = await fetch(`api/styles?lang=${encodeURIComponent(I18n.getLocale())}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { styles, defaultStyleId } = await response.json();
+        const selected = imageStyleSelect.value;
+
+        styleCatalog = styles;
+        imageStyleSelect.innerHTML = '';
+        for (const style of styles) {
+            const option = document.createElement('option');
+            option.value = style.id;
+            option.textContent = style.name;
+            imageStyleSelect.appendChild(option);
+        }
+        // Reloading for another language keeps the guest's pick
+        imageStyleSelect.value = styles.some(style => style.id === selected) ? selected : defaultStyleId;
+        showStyleDetails();
+    } catch (e) {
+        console.warn('Could not load styles:', e);
+    }
+}
+
+// Local cache key of a style; a prompt edit on the server changes its revision
+function styleCacheKey(id) {
+    const style = styleCatalog.find(entry => entry.id === id);
+    return style && style.revision ? `${id}.${style.revision}` : id;
+}
+
+function showStyleDetails() {
+    const style = styleCatalog.find(s => s.id === imageStyleSelect.value);
+    styleDescription.textContent = style?.description || '';
+
+    if (style?.thumbnail) {
+        styleThumbnail.src = style.thumbnail;
+        styleThumbnail.alt = style.name;
+        styleThumbnail.style.display = 'block';
+    } else {
+        styleThumbnail.style.display = 'none';
+    }
+}
+
+imageStyleSelect.addEventListener('change', showStyleDetails);
+
+loadStyles();
 
 // ---------- UI Event Handlers ----------
 
+// Greeting message character counter (counts characters the way the server does)
+function updateMessageCounter() {
+    messageCounter.textContent = `${[...greetingMessage.value].length}/${greetingMessage.maxLength}`;
+}
+
+greetingMessage.addEventListener('input', updateMessageCounter);
+
 // Open file dialog
 uploadLabel.addEventListener('click', () => fileInput.click());
 
 // File selection
-fileInput.addEventListener('change', (e) => handleFileSelect(e.target.files[0]));
+fileInput.addEventListener('change', (e) => handleFiles(e.target.files));
 
 // Drag/drop
 uploadLabel.addEventListener('dragover', (e) => {
@@ -154,11 +372,15 @@ uploadLabel.addEventListener('dragleave', () => polaroidContent.classList.remove
 uploadLabel.addEventListener('drop', (e) => {
     e.preventDefault();
     polaroidContent.classList.remove('dragover');
-    if (e.dataTransfer.files.length > 0) handleFileSelect(e.dataTransfer.files[0]);
+    if (e.dataTransfer.files.length > 0) handleFiles(e.dataTransfer.files);
 });
 
 // Optimization toggle
 optimizeToggle.addEventListener('change', async (e) => {
+    if (collagePhotos.length > 0) {
+        await toggleCollageStyle(e.target.checked);
+        return;
+    }
     if (!selectedFile) return;
 
     if (e.target.checked) {
@@ -167,16 +389,16 @@ optimizeToggle.addEventListener('change', async (e) => {
         clearMessage();
 
         const style = imageStyleSelect.value;
-        const cached = await imageCache.get(selectedFile.name, style);
+        const hash = await hashFile(selectedFile);
+        const cached = hash ? await imageCache.get(hash, styleCacheKey(style)) : null;
 
         if (cached) {
-            optimizedImageDataUrl = cached;
-            polaroidImage.style.backgroundImage = `url(${cached})`;
+            polaroidImage.style.backgroundImage = `url(${setOptimizedImage(cached)})`;
             loading.style.display = 'none';
             optimizeToggle.disabled = false;
             // showMessage('Loaded cached optimized image', 'success');
         } else {
-            await optimizeImage(style);
+            await optimizeImage(style, hash);
         }
 
     } else {
@@ -186,74 +408,450 @@ optimizeToggle.addEventListener('change', async (e) => {
     }
 });
 
+// ---------- Shake Gestures ----------
+
+// One shake picks a random style; a streak of vigorous shakes asks to print the card
+const PRINT_SHAKE_STREAK = 3;
+const shakeDetector = window.ShakeDetector && ShakeDetector.isSupported() ? new ShakeDetector() : null;
+
+function enableShake() {
+    shakeBtn.style.display = 'none';
+    shakeHint.style.display = 'block';
+    shakeDetector.start();
+}
+
+function pickRandomStyle() {
+    const others = styleCatalog.filter(style => style.id !== imageStyleSelect.value);
+    if (others.length === 0) return;
+
+    imageStyleSelect.value = others[Math.floor(Math.random() * others.length)].id;
+    showStyleDetails();
+
+    // Re-run optimization so the guest sees the new style straight away
+    if (optimizeToggle.checked && !optimizeToggle.disabled) {
+        optimizeToggle.dispatchEvent(new Event('change'));
+    }
+}
+
+if (shakeDetector) {
+    if (ShakeDetector.needsPermission()) {
+        // iOS only grants motion access from a tap
+        shakeBtn.style.display = 'inline-block';
+        shakeBtn.addEventListener('click', async () => {
+            const state = await ShakeDetector.requestPermission();
+            if (state === 'granted') {
+                enableShake();
+            } else {
+                showMessage(t('shake.permissionDenied'), 'error');
+            }
+        });
+    } else {
+        enableShake();
+    }
+
+    shakeDetector.addEventListener('shake', (e) => {
+        // Cheering guests shake hard; that must not change their style or print a card
+        if (cheerActive || !hasPhotos() || submitBtn.disabled) return;
+
+        if (e.detail.streak >= PRINT_SHAKE_STREAK) {
+            shakeDetector.reset();
+            if (confirm(t('shake.confirmPrint'))) submitBtn.click();
+        } else if (e.detail.streak === 1 && optimizationEnabled) {
+            pickRandomStyle();
+        }
+    });
+}
+
+// ---------- Shake to Cheer ----------
+
+// While a round runs, the average shake force is sent to the big screen twice a second
+const CHEER_SAMPLE_INTERVAL = 500;
+const CHEER_FULL_FORCE = 30; // m/s² that fills the little meter on the phone
+let cheerSamples = [];
+let cheerTimer = null;
+
+async function sendCheerSample() {
+    if (cheerSamples.length === 0) return;
+
+    const intensity = cheerSamples.reduce((sum, force) => sum + force, 0) / cheerSamples.length;
+    cheerSamples = [];
+    cheerMeterFill.style.width = `${Math.min(100, (intensity / CHEER_FULL_FORCE) * 100)}%`;
+
+    try {
+        await fetch('api/cheer/samples', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...guestHeaders() },
+            body: JSON.stringify({ deviceId: getDeviceId(), name: cheerName.value, intensity })
+        });
+    } catch (e) {
+        console.warn('Could not send cheer sample:', e);
+    }
+}
+
+function setCheerActive(active) {
+    cheerActive = active;
+    cheerBanner.classList.toggle('active', active);
+    clearInterval(cheerTimer);
+    cheerSamples = [];
+    cheerMeterFill.style.width = '0%';
+
+    if (active) {
+        cheerBtn.style.display = shakeDetector.listening ? 'none' : 'inline-block';
+        cheerTimer = setInterval(sendCheerSample, CHEER_SAMPLE_INTERVAL);
+    }
+}
+
+if (shakeDetector) {
+    cheerName.value = localStorage.getItem('cheer_name') || '';
+    cheerName.addEventListener('change', () => localStorage.setItem('cheer_name', cheerName.value.trim()));
+
+    cheerBtn.addEventListener('click', async () => {
+        const state = await ShakeDetector.requestPermission();
+        if (state === 'granted') {
+            enableShake();
+            cheerBtn.style.display = 'none';
+        } else {
+            showMessage(t('shake.permissionDenied'), 'error');
+        }
+    });
+
+    shakeDetector.addEventListener('motion', (e) => {
+        if (cheerActive) cheerSamples.push(e.detail.force);
+    });
+
+    // EventSource reconnects on its own after network drops
+    const cheerSource = new EventSource('api/cheer/events');
+    cheerSource.addEventListener('state', (e) => setCheerActive(JSON.parse(e.data).active));
+}
+
 // ---------- Image Handling ----------
 
-function handleFileSelect(file) {
-    if (!file) return;
+function hasPhotos() {
+    return Boolean(selectedFile) || collagePhotos.length > 0;
+}
 
-    if (!file.type.startsWith('image/')) {
-        showMessage('Please select a valid image file', 'error');
-        return;
+function validateFile(file) {
+    // Some browsers report HEIC photos without a mimetype; the server checks the bytes anyway
+    if (!file.type.startsWith('image/') && !/\.(heic|heif)$/i.test(file.name)) {
+        showMessage(t('file.invalid'), 'error');
+        return false;
     }
 
-    if (file.size > 50 * 1024 * 1024) {
-        showMessage('File size must be less than 50MB', 'error');
+    if (file.size > maxUploadSizeMb * 1024 * 1024) {
+        showMessage(t('file.tooLarge', { maxMb: maxUploadSizeMb }), 'error');
+        return false;
+    }
+    return true;
+}
+
+// One photo makes a normal card, 2-4 photos make a collage
+function handleFiles(fileList) {
+    const files = [...fileList];
+    if (files.length === 0) return;
+
+    if (files.length > 4) {
+        showMessage(t('collage.tooMany'), 'error');
         return;
     }
 
+    clearCollage();
+    closeComparison();
+    if (files.length === 1) {
+        handleFileSelect(files[0]);
+    } else {
+        handleCollageSelect(files);
+    }
+}
+
+function showEditingControls() {
+    if (optimizationEnabled) {
+        toggleContainer.style.display = 'flex';
+        styleSelector.classList.add('active');
+    }
+    // The comparison grid fans out a single photo
+    compareBtn.style.display = collagePhotos.length > 0 ? 'none' : '';
+    optimizeToggle.checked = false;
+    messageBox.classList.add('active');
+    submitBtn.disabled = false;
+    clearMessage();
+}
+
+function handleFileSelect(file) {
+    if (!file || !validateFile(file)) return;
+
     const reader = new FileReader();
     reader.onload = (e) => {
         originalImageDataUrl = e.target.result;
-        optimizedImageDataUrl = null;
+        setOptimizedImage(null);
 
         polaroidImage.style.backgroundImage = `url(${originalImageDataUrl})`;
         polaroidImage.classList.add('active');
         uploadPlaceholder.style.display = 'none';
-
-        toggleContainer.style.display = 'flex';
-        styleSelector.classList.add('active');
-        optimizeToggle.checked = false;
+        showEditingControls();
     };
     reader.readAsDataURL(file);
 
     selectedFile = file;
     filename.textContent = file.name;
-    submitBtn.disabled = false;
-    clearMessage();
 }
 
-// Optimize against server API
-async function optimizeImage(style) {
+// ---------- Collage ----------
+
+async function loadCollageLayouts() {
     try {
-        const formData = new FormData();
-        formData.append('image', selectedFile);
-        formData.append('imageStyleIndex', style);
+        const response = await fetch('api/collage/layouts');
+        if (response.ok) collageLayouts = (await response.json()).layouts;
+    } catch (e) {
+        console.warn('Could not load collage layouts:', e);
+    }
+}
 
-        const response = await fetch('/api/optimize-image', { method: 'POST', body: formData });
+loadCollageLayouts();
 
-        if (!response.ok) {
-            const { error } = await response.json();
-            showMessage(`Optimization failed: ${error || 'Unknown error'}`, 'error');
-            optimizeToggle.checked = false;
-            loading.style.display = 'none';
-            optimizeToggle.disabled = false;
-            return;
+function handleCollageSelect(files) {
+    if (!files.every(validateFile)) return;
+
+    const layouts = collageLayouts.filter(layout => layout.photos === files.length);
+    if (layouts.length === 0) {
+        showMessage(t('collage.unavailable'), 'error');
+        return;
+    }
+
+    selectedFile = null;
+    originalImageDataUrl = null;
+    setOptimizedImage(null);
+    collagePhotos = files.map(file => ({ file, url: URL.createObjectURL(file) }));
+    collageLayout = layouts[0].id;
+
+    filename.textContent = t('collage.selected', { n: files.length });
+    uploadPlaceholder.style.display = 'none';
+    renderLayoutPicker(layouts);
+    showCollagePreview();
+    showEditingControls();
+}
+
+function clearCollage() {
+    collagePhotos.forEach(photo => URL.revokeObjectURL(photo.url));
+    collagePhotos = [];
+    collageLayout = null;
+    layoutPicker.classList.remove('active');
+    collagePreview.classList.remove('active');
+}
+
+// Position a cell from layout fractions, leaving `gap` between neighbouring cells only
+function placeCell(el, cell, gap) {
+    const inset = (edge, towardsInside) => (edge > 0 && edge < 1 ? edge + towardsInside * gap / 2 : edge);
+    const left = inset(cell.x, 1);
+    const top = inset(cell.y, 1);
+    const right = inset(cell.x + cell.width, -1);
+    const bottom = inset(cell.y + cell.height, -1);
+    el.style.left = `${left * 100}%`;
+    el.style.top = `${top * 100}%`;
+    el.style.width = `${(right - left) * 100}%`;
+    el.style.height = `${(bottom - top) * 100}%`;
+}
+
+function renderLayoutPicker(layouts) {
+    layoutPicker.innerHTML = '';
+    for (const layout of layouts) {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = `layout-option${layout.id === collageLayout ? ' selected' : ''}`;
+        option.title = I18n.has(`collage.layouts.${layout.id}`) ? t(`collage.layouts.${layout.id}`) : layout.name;
+        option.dataset.layout = layout.id;
+        for (const cell of layout.cells) {
+            const block = document.createElement('span');
+            placeCell(block, cell, 0.1);
+            option.appendChild(block);
         }
+        option.addEventListener('click', () => selectCollageLayout(layout.id));
+        layoutPicker.appendChild(option);
+    }
+    layoutPicker.classList.add('active');
+}
+
+function selectCollageLayout(id) {
+    collageLayout = id;
+    setOptimizedImage(null);
+    for (const option of layoutPicker.children) {
+        option.classList.toggle('selected', option.dataset.layout === id);
+    }
+
+    // A stylized collage has to be composed again for the new layout
+    if (optimizeToggle.checked) {
+        optimizeToggle.dispatchEvent(new Event('change'));
+    } else {
+        showCollagePreview();
+    }
+}
 
-        const blob = await response.blob();
-        const dataUrl = await blobToDataURL(blob);
+// Client-side preview of the originals; the server composes the real image
+function showCollagePreview() {
+    const layout = collageLayouts.find(l => l.id === collageLayout && l.photos === collagePhotos.length);
+    collagePreview.innerHTML = '';
+    layout.cells.forEach((cell, i) => {
+        const el = document.createElement('div');
+        el.className = 'collage-cell';
+        // Same gutter as the composed collage (24px of 2048)
+        placeCell(el, cell, 24 / 2048);
+        el.style.backgroundImage = `url(${collagePhotos[i].url})`;
+        collagePreview.appendChild(el);
+    });
+
+    polaroidImage.classList.remove('active');
+    collagePreview.classList.add('active');
+}
+
+function showComposedCollage(dataUrl) {
+    polaroidImage.style.backgroundImage = `url(${dataUrl})`;
+    collagePreview.classList.remove('active');
+    polaroidImage.classList.add('active');
+}
+
+// Queue the collage on the server and wait for the composed image
+async function composeCollage(styleId) {
+    const formData = new FormData();
+    collagePhotos.forEach(photo => formData.append('photos', photo.file));
+    formData.append('layout', collageLayout);
+    if (styleId) formData.append('styleId', styleId);
+
+    const response = await fetch('api/collage', { method: 'POST', headers: guestHeaders(), body: formData });
+    const data = await response.json();
+    if (data.remaining) showAllowance(data.remaining);
+    if (!response.ok) throw new Error(errorMessage(data));
+
+    showOptimizeProgress(data.job);
+    await waitForOptimizeJob(data.jobId);
+
+    const result = await fetch(`api/optimize-image/${encodeURIComponent(data.jobId)}/result`);
+    if (!result.ok) throw new Error(t('collage.expired'));
+    return blobToDataURL(await result.blob());
+}
+
+async function toggleCollageStyle(checked) {
+    if (!checked) {
+        showCollagePreview();
+        return;
+    }
 
-        optimizedImageDataUrl = dataUrl;
-        polaroidImage.style.backgroundImage = `url(${dataUrl})`;
+    const photos = collagePhotos;
+    const layout = collageLayout;
+    const style = imageStyleSelect.value;
+    loading.style.display = 'block';
+    optimizeToggle.disabled = true;
+    clearMessage();
 
-        await imageCache.set(selectedFile.name, style, dataUrl);
+    try {
+        const dataUrl = await composeCollage(style);
+        // The guest may have changed photos, layout or style while waiting
+        if (photos !== collagePhotos || layout !== collageLayout || style !== imageStyleSelect.value || !optimizeToggle.checked) return;
 
-        // showMessage('Image optimized successfully!', 'success');
+        setOptimizedImage(null);
+        optimizedImageUrl = dataUrl;
+        showComposedCollage(dataUrl);
     } catch (e) {
-        showMessage(`Error: ${e.message}`, 'error');
+        showMessage(t('optimize.failed', { reason: e.message }), 'error');
         optimizeToggle.checked = false;
+        showCollagePreview();
     } finally {
         loading.style.display = 'none';
+        loadingText.textContent = t('loading.uploading');
+        optimizeToggle.disabled = false;
+    }
+}
+
+// Optimize against server API: queue a job, then poll until the image is ready
+const OPTIMIZE_POLL_INTERVAL = 1500;
+
+function showOptimizeProgress(job) {
+    if (job.status === 'queued') {
+        loadingText.textContent = t('loading.queued', { position: job.position });
+    } else if (job.attempts > 1) {
+        loadingText.textContent = t('loading.retry', { attempt: job.attempts - 1 });
+    } else {
+        loadingText.textContent = t('loading.generating');
+    }
+}
+
+async function waitForOptimizeJob(jobId) {
+    for (;;) {
+        await new Promise(resolve => setTimeout(resolve, OPTIMIZE_POLL_INTERVAL));
+
+        const response = await fetch(`api/optimize-image/${encodeURIComponent(jobId)}`);
+        const job = await response.json();
+        if (!response.ok) throw new Error(errorMessage(job));
+
+        if (job.status === 'done') return job;
+        if (job.status === 'failed') throw new Error(errorMessage({ code: job.errorCode, error: job.error }));
+        showOptimizeProgress(job);
+    }
+}
+
+async function fetchCachedResult(hash, style) {
+    const response = await fetch(`api/optimize-image/cache/${hash}/${encodeURIComponent(style)}`);
+    return response.ok ? response.blob() : null;
+}
+
+// Keep the optimized result for the card, releasing the previous object URL
+function setOptimizedImage(blob) {
+    if (optimizedImageUrl && optimizedImageUrl.startsWith('blob:')) URL.revokeObjectURL(optimizedImageUrl);
+    optimizedImageUrl = blob ? URL.createObjectURL(blob) : null;
+    return optimizedImageUrl;
+}
+
+async function optimizeImage(style, hash) {
+    const file = selectedFile;
+
+    try {
+        // Another visit (or another guest) may already have optimized this exact photo
+        let blob = hash ? await fetchCachedResult(hash, style) : null;
+
+        if (!blob) {
+            const formData = new FormData();
+            formData.append('image', file);
+            formData.append('styleId', style);
+
+            const response = await fetch('api/optimize-image', { method: 'POST', headers: guestHeaders(), body: formData });
+            const data = await response.json();
+            if (data.remaining) showAllowance(data.remaining);
+
+            if (!response.ok) {
+                showMessage(t('optimize.failed', { reason: errorMessage(data) }), 'error');
+                optimizeToggle.checked = false;
+                return;
+            }
+            hash = data.hash;
+
+            if (data.cached) {
+                blob = await fetchCachedResult(hash, style);
+            } else {
+                showOptimizeProgress(data.job);
+                const job = await waitForOptimizeJob(data.jobId);
+
+                // The server falls back to a simple offline filter when the AI service is unreachable
+                if (job.provider === 'local') {
+                    showMessage(t('optimize.offlineFallback'), 'success');
+                }
+
+                const result = await fetch(`api/optimize-image/${encodeURIComponent(data.jobId)}/result`);
+                if (result.ok) blob = await result.blob();
+            }
+            if (!blob) throw new Error(t('optimize.expired'));
+        }
+
+        await imageCache.set(hash, styleCacheKey(style), blob, file.name);
+        renderGeneratedHistory();
+
+        // The guest may have picked another photo or style while waiting
+        if (file !== selectedFile || style !== imageStyleSelect.value || !optimizeToggle.checked) return;
+
+        polaroidImage.style.backgroundImage = `url(${setOptimizedImage(blob)})`;
+    } catch (e) {
+        showMessage(t('optimize.failed', { reason: e.message }), 'error');
+        optimizeToggle.checked = false;
+    } finally {
+        loading.style.display = 'none';
+        loadingText.textContent = t('loading.uploading');
         optimizeToggle.disabled = false;
     }
 }
@@ -266,48 +864,422 @@ function blobToDataURL(blob) {
     });
 }
 
-// ---------- Upload Submission ----------
+// ---------- All Styles Comparison ----------
 
-submitBtn.addEventListener('click', async () => {
+const compareBtn = document.getElementById('compareBtn');
+const styleCompare = document.getElementById('styleCompare');
+let comparison = null;  // { controller, urls } while the grid is open
+
+// The grid sits inside the polaroid, whose click opens the file picker
+styleCompare.addEventListener('click', (e) => e.stopPropagation());
+compareBtn.addEventListener('click', showAllStyles);
+
+// Tiles become clickable once their image is in (tile.onclick)
+function compareTile(label) {
+    const tile = document.createElement('button');
+    tile.type = 'button';
+    tile.className = 'compare-tile loading';
+    const caption = document.createElement('span');
+    caption.textContent = label;
+    tile.appendChild(caption);
+    styleCompare.appendChild(tile);
+    return tile;
+}
+
+function closeComparison() {
+    if (!comparison) return;
+    comparison.controller.abort();
+    comparison.urls.forEach(url => URL.revokeObjectURL(url));
+    comparison = null;
+    styleCompare.classList.remove('active');
+    styleCompare.innerHTML = '';
+}
+
+// Parse a text/event-stream body; EventSource cannot POST the photo
+async function readEventStream(response, onEvent) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value;
+
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+
+            let name = 'message';
+            let data = '';
+            for (const line of block.split('\n')) {
+                if (line.startsWith('event: ')) name = line.slice(7);
+                else if (line.startsWith('data: ')) data += line.slice(6);
+            }
+            if (data) onEvent(name, JSON.parse(data));
+        }
+    }
+}
+
+function pickComparedStyle(styleId, blob) {
+    imageStyleSelect.value = styleId;
+    showStyleDetails();
+    optimizeToggle.checked = true;
+    polaroidImage.style.backgroundImage = `url(${setOptimizedImage(blob)})`;
+    closeComparison();
+}
+
+function pickOriginal() {
+    optimizeToggle.checked = false;
+    polaroidImage.style.backgroundImage = `url(${originalImageDataUrl})`;
+    closeComparison();
+}
+
+// Fan the photo out to every style; tiles fill in as the server streams results
+async function showAllStyles() {
     if (!selectedFile) return;
+    closeComparison();
 
-    const formData = new FormData();
+    const file = selectedFile;
+    const current = { controller: new AbortController(), urls: [] };
+    comparison = current;
+    const tiles = new Map();
+    let hash = null;
 
-    if (optimizeToggle.checked && optimizedImageDataUrl) {
-        // Convert dataURL back to Blob
-        const res = await fetch(optimizedImageDataUrl);
-        const blob = await res.blob();
-        const optimizedFile = new File([blob], selectedFile.name, { type: blob.type });
-        formData.append('file', optimizedFile);
-    } else {
-        formData.append('file', selectedFile);
+    const original = compareTile(t('compare.original'));
+    original.classList.remove('loading');
+    original.style.backgroundImage = `url(${originalImageDataUrl})`;
+    original.onclick = pickOriginal;
+    styleCompare.classList.add('active');
+    showMessage(t('compare.hint'), 'success');
+
+    const showResult = async ({ styleId, status, code, resultUrl }) => {
+        const tile = tiles.get(styleId);
+        if (!tile) return;
+
+        if (status === 'done') {
+            const response = await fetch(resultUrl, { signal: current.controller.signal });
+            if (response.ok) {
+                const blob = await response.blob();
+                const url = URL.createObjectURL(blob);
+                current.urls.push(url);
+                tile.style.backgroundImage = `url(${url})`;
+                tile.classList.remove('loading');
+                tile.onclick = () => pickComparedStyle(styleId, blob);
+                await imageCache.set(hash, styleCacheKey(styleId), blob, file.name);
+                return;
+            }
+            code = 'RESULT_NOT_READY';
+        }
+        tile.classList.remove('loading');
+        tile.classList.add('failed');
+        tile.title = code ? errorMessage({ code }) : t('compare.failed');
+        tile.querySelector('span').textContent += ` · ${t('compare.failed')}`;
+    };
+
+    try {
+        const formData = new FormData();
+        formData.append('image', file);
+        const response = await fetch(`api/optimize-image/all?lang=${encodeURIComponent(I18n.getLocale())}`, {
+            method: 'POST',
+            headers: guestHeaders(),
+            body: formData,
+            signal: current.controller.signal
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            if (data.remaining) showAllowance(data.remaining);
+            throw new Error(errorMessage(data));
+        }
+
+        const pending = [];
+        await readEventStream(response, (name, data) => {
+            if (name === 'start') {
+                hash = data.hash;
+                showAllowance(data.remaining);
+                for (const style of data.styles) {
+                    tiles.set(style.id, compareTile(style.name));
+                }
+            } else if (name === 'result') {
+                pending.push(showResult(data).catch(e => console.warn('Comparison result failed:', e)));
+            }
+        });
+        await Promise.all(pending);
+        renderGeneratedHistory();
+    } catch (e) {
+        if (comparison !== current) return;  // closed or replaced by the guest
+        showMessage(t('optimize.failed', { reason: e.message }), 'error');
+        if (tiles.size === 0) closeComparison();
     }
+}
+
+// ---------- My Generated Images ----------
+
+const generatedHistory = document.getElementById('generatedHistory');
+const generatedHistoryList = document.getElementById('generatedHistoryList');
+const HISTORY_SIZE = 12;
+let historyUrls = [];
+
+async function renderGeneratedHistory() {
+    const entries = await imageCache.history(HISTORY_SIZE);
+    historyUrls.forEach(url => URL.revokeObjectURL(url));
+    historyUrls = entries.map(entry => URL.createObjectURL(entry.blob));
+
+    generatedHistoryList.innerHTML = '';
+    entries.forEach((entry, i) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.title = t('history.use');
+        button.style.backgroundImage = `url(${historyUrls[i]})`;
+        button.addEventListener('click', () => useGeneratedImage(entry));
+        generatedHistoryList.appendChild(button);
+    });
+    generatedHistory.classList.toggle('active', entries.length > 0);
+}
+
+// An earlier result becomes the photo of a new card, ready to print as it is
+function useGeneratedImage(entry) {
+    const file = new File([entry.blob], entry.fileName || 'generated.jpg', { type: entry.blob.type || 'image/jpeg' });
+    handleFiles([file]);
+    uploadLabel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+renderGeneratedHistory();
+
+// ---------- Upload Submission ----------
+
+submitBtn.addEventListener('click', async () => {
+    if (!hasPhotos()) return;
+
+    let file;
 
     submitBtn.disabled = true;
     loading.style.display = 'block';
     clearMessage();
 
     try {
-        const response = await fetch('/api/upload', { method: 'POST', body: formData });
-        const data = await response.json();
+        if (optimizeToggle.checked && optimizedImageUrl) {
+            // Convert dataURL back to Blob
+            const res = await fetch(optimizedImageUrl);
+            const blob = await res.blob();
+            const name = selectedFile ? selectedFile.name : 'collage.jpg';
+            file = new File([blob], name, { type: blob.type });
+        } else if (collagePhotos.length > 0) {
+            // Plain collage: compose it on the server, then print it like any photo
+            const dataUrl = await composeCollage(null);
+            loadingText.textContent = t('loading.uploading');
+            const blob = await (await fetch(dataUrl)).blob();
+            file = new File([blob], 'collage.jpg', { type: blob.type });
+        } else {
+            file = selectedFile;
+        }
+
+        const upload = {
+            url: new URL('api/upload', location.href).href,
+            file,
+            fileName: file.name,
+            message: greetingMessage.value.trim(),
+            deviceToken: getDeviceId()
+        };
+        const { ok, retry, data } = await UploadQueue.send(upload);
 
-        if (response.ok) {
-            showMessage('อัปโหลดสำเร็จ! ขั้นตอนที่ 2: เรากำลังพิมพ์การ์ดอวยพรของคุณที่โต๊ะรับแขก สามารถเขียนข้อความอวยพรบ่าวสาวบนการ์ด แล้วนำไปจัดแสดงบนบอร์ดเลยครับ 👰🤵💌', 'success');
+        if (retry && await queueUpload(upload)) {
+            showMessage(t('pending.queued'), 'success');
+            resetForm();
+            return;
+        }
+        if (data && data.remaining) showAllowance(data.remaining);
+
+        if (ok) {
+            if (data.jobId) {
+                trackJob(data.jobId, data.job);
+            } else {
+                showMessage(eventMessages.uploadSuccess || t('upload.success'), 'success');
+            }
             resetForm();
         } else {
-            showMessage(`Error: ${data.error || 'Upload failed'}`, 'error');
+            showMessage(t('upload.error', { reason: errorMessage(data) }), 'error');
             submitBtn.disabled = false;
         }
     } catch (error) {
-        showMessage(`Error: ${error.message}`, 'error');
+        showMessage(t('upload.error', { reason: error.message }), 'error');
         submitBtn.disabled = false;
     } finally {
         loading.style.display = 'none';
+        loadingText.textContent = t('loading.uploading');
     }
 });
 
+// ---------- Pending Uploads ----------
+
+const pendingUploads = document.getElementById('pendingUploads');
+const pendingUploadsText = document.getElementById('pendingUploadsText');
+const pendingUploadsBtn = document.getElementById('pendingUploadsBtn');
+const PENDING_RETRY_MS = 30 * 1000;
+let flushingUploads = false;
+
+// Keep a card that could not be sent; false where the phone has no IndexedDB
+async function queueUpload(upload) {
+    try {
+        await UploadQueue.add(upload);
+    } catch (e) {
+        console.warn('Could not keep upload for later:', e);
+        return false;
+    }
+    refreshPendingUploads();
+    requestUploadSync();
+    return true;
+}
+
+async function refreshPendingUploads() {
+    const count = await UploadQueue.count().catch(() => 0);
+    pendingUploadsText.textContent = t('pending.count', { n: count });
+    pendingUploads.classList.toggle('active', count > 0);
+    return count;
+}
+
+// With Background Sync the service worker sends them even after the tab is closed
+async function requestUploadSync() {
+    try {
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (registration?.sync) await registration.sync.register(UploadQueue.SYNC_TAG);
+    } catch (e) {
+        console.warn('Background sync unavailable:', e);
+    }
+}
+
+// Results of our own flush or of the service worker's; only uploads from this
+// page's event can be tracked here
+function showPendingResults(results) {
+    const ownUploadUrl = new URL('api/upload', location.href).href;
+    for (const { url, ok, retry, data } of results) {
+        if (retry) continue;
+        if (url === ownUploadUrl && data && data.remaining) showAllowance(data.remaining);
+
+        if (!ok) showMessage(t('pending.failed', { reason: errorMessage(data) }), 'error');
+        else if (url === ownUploadUrl && data && data.jobId) trackJob(data.jobId, data.job);
+        else showMessage(t('pending.sent'), 'success');
+    }
+    refreshPendingUploads();
+}
+
+async function flushPendingUploads() {
+    if (flushingUploads) return;
+    flushingUploads = true;
+    try {
+        const results = await UploadQueue.flush();
+        showPendingResults(results.map(({ entry, ...result }) => ({ url: entry.url, ...result })));
+    } catch (e) {
+        console.warn('Could not send pending uploads:', e);
+    } finally {
+        flushingUploads = false;
+    }
+}
+
+pendingUploadsBtn.addEventListener('click', flushPendingUploads);
+window.addEventListener('online', flushPendingUploads);
+setInterval(async () => {
+    if (navigator.onLine !== false && await refreshPendingUploads() > 0) flushPendingUploads();
+}, PENDING_RETRY_MS);
+
+// The service worker keeps the page usable offline. Registered relative to the
+// page, so every /e/:slug event gets its own.
+if (navigator.serviceWorker) {
+    navigator.serviceWorker.register('sw.js').catch(e => console.warn('Service worker registration failed:', e));
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data?.type === 'pending-uploads') showPendingResults(e.data.results);
+    });
+}
+
+flushPendingUploads();
+
+// ---------- Print Job Tracking ----------
+
+// Follow a print job over SSE, falling back to polling when the stream is unavailable
+function trackJob(jobId, initialJob) {
+    if (jobTracker) jobTracker.stop();
+
+    let source = null;
+    let pollTimer = null;
+    const stop = () => {
+        if (source) source.close();
+        clearInterval(pollTimer);
+    };
+
+    const startPolling = () => {
+        if (pollTimer) return;
+        pollTimer = setInterval(async () => {
+            try {
+                const response = await fetch(`api/jobs/${jobId}`);
+                if (response.ok) handleJobUpdate(await response.json());
+            } catch (e) {
+                console.warn('Job status poll failed:', e);
+            }
+        }, 5000);
+    };
+
+    const handleJobUpdate = (job) => {
+        showJobStatus(job);
+        if (['printed', 'failed', 'rejected'].includes(job.status)) stop();
+    };
+
+    if (initialJob) showJobStatus(initialJob);
+
+    if (window.EventSource) {
+        source = new EventSource(`api/jobs/${jobId}/events`);
+        source.onmessage = (e) => handleJobUpdate(JSON.parse(e.data));
+        source.onerror = () => {
+            source.close();
+            startPolling();
+        };
+    } else {
+        startPolling();
+    }
+
+    jobTracker = { stop };
+}
+
+function showJobStatus(job) {
+    switch (job.status) {
+        case 'queued':
+            showMessage(t('job.queued', { position: job.position }), 'success');
+            break;
+        case 'printing':
+            showMessage(t('job.printing'), 'success');
+            break;
+        case 'printed':
+            showMessage(eventMessages.printed || t('job.printed'), 'success');
+            break;
+        case 'failed':
+            showMessage(t('job.failed'), 'error');
+            break;
+        case 'rejected':
+            showMessage(t('job.rejected'), 'error');
+            break;
+    }
+}
+
 // ---------- Helpers ----------
 
+// Anonymous id for this phone, used for quotas and the cheer leaderboard
+function getDeviceId() {
+    let id = localStorage.getItem('guest_device_id');
+    if (!id) {
+        id = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        localStorage.setItem('guest_device_id', id);
+    }
+    return id;
+}
+
+function guestHeaders() {
+    return { 'X-Device-Token': getDeviceId() };
+}
+
+// Guest-facing text for an API error response, translated from its stable code
+function errorMessage(data) {
+    if (data && data.code && I18n.has(`errors.${data.code}`)) return t(`errors.${data.code}`, data);
+    return (data && data.error) || t('errors.INTERNAL_ERROR');
+}
+
 function showMessage(text, type) {
     message.textContent = text;
     message.className = `message ${type}`;
@@ -320,11 +1292,13 @@ function clearMessage() {
 }
 
 function resetForm() {
+    clearCollage();
+    closeComparison();
     selectedFile = null;
     originalImageDataUrl = null;
-    optimizedImageDataUrl = null;
+    setOptimizedImage(null);
     fileInput.value = '';
-    filename.textContent = 'Click to select a photo';
+    filename.textContent = t('upload.selectPhoto');
     submitBtn.disabled = true;
     polaroidImage.style.backgroundImage = '';
     polaroidImage.classList.remove('active');
@@ -332,4 +1306,7 @@ function resetForm() {
     toggleContainer.style.display = 'none';
     styleSelector.classList.remove('active');
     optimizeToggle.checked = false;
+    messageBox.classList.remove('active');
+    greetingMessage.value = '';
+    updateMessageCounter();
 }
@@ -0,0 +1,148 @@
+// ---------- Shake Detector (devicemotion gesture module) ----------
+//
+// Usage:
+//   const detector = new ShakeDetector({ threshold: 25, debounceMs: 800 });
+//   detector.addEventListener('shake', (e) => console.log(e.detail.force, e.detail.streak));
+//   await ShakeDetector.requestPermission(); // iOS 13+, must run inside a user gesture
+//   detector.start();
+//
+// Events (CustomEvent, data in `detail`):
+//   motion      { force, x, y, z }        every devicemotion sample
+//   shake       { force, count, streak }  one debounced shake; streak counts shakes
+//                                         that followed each other within streakWindowMs
+//   calibrated  { threshold, peak }       calibrate() finished
+//   nodata      {}                        no motion data arrived after start()
+
+const ShakeDetector = (() => {
+    const STORAGE_KEY = 'shake_detector_threshold';
+    const MIN_THRESHOLD = 12; // m/s², below this normal handling counts as shaking
+    const MAX_THRESHOLD = 45;
+
+    class ShakeDetector extends EventTarget {
+        constructor(options = {}) {
+            super();
+            const saved = parseFloat(localStorage.getItem(STORAGE_KEY));
+
+            this.threshold = options.threshold || saved || 25;     // m/s²
+            this.sensitivity = options.sensitivity || 1;           // >1 triggers on gentler shakes
+            this.debounceMs = options.debounceMs ?? 800;
+            this.streakWindowMs = options.streakWindowMs ?? 1500;
+
+            this.listening = false;
+            this.count = 0;
+            this.streak = 0;
+            this.maxForce = 0;
+            this.lastShakeAt = 0;
+            this.calibration = null;
+            this.receivedData = false;
+            this.handleMotion = this.handleMotion.bind(this);
+        }
+
+        static isSupported() {
+            return typeof DeviceMotionEvent !== 'undefined';
+        }
+
+        static needsPermission() {
+            return ShakeDetector.isSupported() && typeof DeviceMotionEvent.requestPermission === 'function';
+        }
+
+        // Resolves to 'granted', 'denied', 'prompt' or 'unsupported'. Never rejects.
+        static async requestPermission() {
+            if (!ShakeDetector.isSupported()) return 'unsupported';
+            if (!ShakeDetector.needsPermission()) return 'granted';
+
+            try {
+                return await DeviceMotionEvent.requestPermission();
+            } catch (err) {
+                console.error('Motion permission error:', err);
+                return 'denied';
+            }
+        }
+
+        get effectiveThreshold() {
+            return this.threshold / this.sensitivity;
+        }
+
+        start() {
+            if (this.listening || !ShakeDetector.isSupported()) return;
+
+            window.addEventListener('devicemotion', this.handleMotion);
+            this.listening = true;
+
+            // Some browsers grant access but never deliver samples (e.g. desktop)
+            setTimeout(() => {
+                if (this.listening && !this.receivedData) {
+                    this.emit('nodata', {});
+                }
+            }, 2000);
+        }
+
+        stop() {
+            window.removeEventListener('devicemotion', this.handleMotion);
+            this.listening = false;
+        }
+
+        reset() {
+            this.count = 0;
+            this.streak = 0;
+            this.maxForce = 0;
+            this.lastShakeAt = 0;
+        }
+
+        // Ask the guest to shake for durationMs; the threshold becomes a share of their
+        // strongest shake so weak and strong wrists both trigger reliably
+        calibrate(durationMs = 3000) {
+            return new Promise((resolve) => {
+                this.calibration = { peak: 0 };
+                this.start();
+
+                setTimeout(() => {
+                    const { peak } = this.calibration;
+                    this.calibration = null;
+
+                    if (peak > 0) {
+                        this.threshold = Math.min(MAX_THRESHOLD, Math.max(MIN_THRESHOLD, peak * 0.6));
+                        localStorage.setItem(STORAGE_KEY, this.threshold.toFixed(1));
+                    }
+
+                    const detail = { threshold: this.threshold, peak };
+                    this.emit('calibrated', detail);
+                    resolve(detail);
+                }, durationMs);
+            });
+        }
+
+        handleMotion(event) {
+            const accel = event.acceleration;
+            if (!accel || accel.x === null) return;
+
+            this.receivedData = true;
+            const force = Math.sqrt(accel.x ** 2 + accel.y ** 2 + accel.z ** 2);
+            this.maxForce = Math.max(this.maxForce, force);
+
+            this.emit('motion', { force, x: accel.x, y: accel.y, z: accel.z });
+
+            if (this.calibration) {
+                this.calibration.peak = Math.max(this.calibration.peak, force);
+                return;
+            }
+
+            // One physical shake produces many samples over the threshold; count it once
+            const now = Date.now();
+            if (force > this.effectiveThreshold && now - this.lastShakeAt > this.debounceMs) {
+                this.streak = now - this.lastShakeAt <= this.debounceMs + this.streakWindowMs ? this.streak + 1 : 1;
+                this.lastShakeAt = now;
+                this.count++;
+                this.emit('shake', { force, count: this.count, streak: this.streak });
+            }
+        }
+
+        emit(type, detail) {
+            this.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
+
+    return ShakeDetector;
+})();
+
+window.ShakeDetector = ShakeDetector;
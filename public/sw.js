@@ -0,0 +1,88 @@
+// ---------- Guest page service worker ----------
+//
+// Registered by script.js from the page's own directory, so /e/:slug/ pages get
+// a worker scoped to their event. It keeps the app shell available when the
+// venue Wi-Fi drops and sends pending uploads through Background Sync.
+// Everything else (uploads, SSE, admin, wall) goes straight to the network.
+
+importScripts('card-db.js', 'upload-queue.js');
+
+const CACHE_NAME = 'wedding-card-shell-v1';
+
+// Relative to the scope, like the page's own URLs
+const SHELL = [
+    './',
+    'index.html',
+    'script.js',
+    'i18n.js',
+    'locales/th.js',
+    'locales/en.js',
+    'shake-detector.js',
+    'card-db.js',
+    'upload-queue.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+// Answers the page needs to start, served from the last good copy when offline
+const CACHED_API = ['api/settings', 'api/styles'];
+
+const shellUrls = new Set(SHELL.map(path => new URL(path, self.registration.scope).href));
+const apiUrls = CACHED_API.map(path => new URL(path, self.registration.scope).href);
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll([...shellUrls]))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (e) => {
+    e.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// Network first so a redeploy shows up immediately; the cache is only the fallback
+async function networkFirst(request, fallbackUrl) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+self.addEventListener('fetch', (e) => {
+    const { request } = e;
+    if (request.method !== 'GET') return;
+
+    const url = request.url.split('#')[0];
+    if (request.mode === 'navigate' && url.split('?')[0] === self.registration.scope) {
+        e.respondWith(networkFirst(request, self.registration.scope));
+    } else if (shellUrls.has(url) || apiUrls.includes(url.split('?')[0])) {
+        e.respondWith(networkFirst(request));
+    }
+});
+
+// Tell open pages what was sent, so they can show it and track the print job
+async function notifyClients(results) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    const summary = results.map(({ entry, ok, retry, data }) => ({ url: entry.url, ok, retry, data }));
+    for (const client of clients) {
+        client.postMessage({ type: 'pending-uploads', results: summary });
+    }
+}
+
+self.addEventListener('sync', (e) => {
+    if (e.tag !== UploadQueue.SYNC_TAG) return;
+
+    e.waitUntil(UploadQueue.flush().then(async (results) => {
+        if (results.length > 0) await notifyClients(results);
+        // Rejecting makes the browser schedule another attempt later
+        if (results.some(result => result.retry)) throw new Error('Uploads still pending');
+    }));
+});
@@ -0,0 +1,152 @@
+// ---------- Pending uploads ----------
+//
+// Cards that could not reach the server (venue Wi-Fi dropped) wait in the
+// WeddingCardDB "uploads" store and are sent again when the connection is back,
+// either by the page (online event, timer) or by the service worker (Background
+// Sync, where the browser has it). Whoever claims an entry first sends it.
+// An entry the server keeps failing is given up after MAX_ATTEMPTS answers;
+// tries that never reached the server do not count.
+//
+//   const result = await UploadQueue.send({ url, file, fileName, message, deviceToken });
+//   if (result.retry) await UploadQueue.add(entry);
+//   const results = await UploadQueue.flush();   // [{ entry, ok, retry, data }]
+
+const UploadQueue = (() => {
+    const STORE = 'uploads';
+    const SYNC_TAG = 'pending-uploads';
+    // A sender that died mid-upload (tab closed) gives its entries back after this
+    const CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+    const MAX_ATTEMPTS = 20;
+    // Coded server answers that may pass; any other code is the server's decision
+    const TEMPORARY_CODES = ['RATE_LIMITED', 'UPLOAD_FAILED', 'INTERNAL_ERROR'];
+
+    function request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function withStore(mode, fn) {
+        const db = await CardDB.open();
+        if (!db) throw new Error('IndexedDB unavailable');
+
+        const tx = db.transaction([STORE], mode);
+        const result = fn(tx.objectStore(STORE));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        return result;
+    }
+
+    async function add({ url, file, fileName, message, deviceToken }) {
+        let id = null;
+        await withStore('readwrite', (store) => {
+            const req = store.add({
+                url,
+                file,
+                fileName,
+                message,
+                deviceToken,
+                createdAt: Date.now(),
+                attempts: 0,
+                claimedAt: null
+            });
+            req.onsuccess = () => { id = req.result; };
+        });
+        return id;
+    }
+
+    async function count() {
+        const db = await CardDB.open();
+        if (!db) return 0;
+        return request(db.transaction([STORE], 'readonly').objectStore(STORE).count());
+    }
+
+    async function ids() {
+        const db = await CardDB.open();
+        if (!db) return [];
+        return request(db.transaction([STORE], 'readonly').objectStore(STORE).getAllKeys());
+    }
+
+    // Read-modify-write in one transaction, so the page and the service worker never both send an entry
+    async function claim(id) {
+        let claimed = null;
+        await withStore('readwrite', (store) => {
+            const req = store.get(id);
+            req.onsuccess = () => {
+                const entry = req.result;
+                if (!entry || (entry.claimedAt && Date.now() - entry.claimedAt < CLAIM_TIMEOUT_MS)) return;
+                entry.claimedAt = Date.now();
+                store.put(entry);
+                claimed = entry;
+            };
+        });
+        return claimed;
+    }
+
+    async function release(id, answered) {
+        await withStore('readwrite', (store) => {
+            const req = store.get(id);
+            req.onsuccess = () => {
+                if (!req.result) return;
+                store.put({ ...req.result, claimedAt: null, attempts: req.result.attempts + (answered ? 1 : 0) });
+            };
+        });
+    }
+
+    async function remove(id) {
+        await withStore('readwrite', store => store.delete(id));
+    }
+
+    // No answer, a timeout or an uncoded error page (a proxy while the server
+    // restarts) is worth another try. The server's own coded answers are final
+    // unless the code is a temporary one: uploads switched off (503
+    // UPLOADS_DISABLED) or a used-up quota (429) will not pass by retrying.
+    function shouldRetry(status, data) {
+        if (!status || status === 408) return true;
+        if (status < 500 && status !== 429) return false;
+        return !(data && data.code) || TEMPORARY_CODES.includes(data.code);
+    }
+
+    async function send({ url, file, fileName, message, deviceToken }) {
+        const formData = new FormData();
+        formData.append('file', file, fileName);
+        if (message) formData.append('message', message);
+
+        let response;
+        try {
+            response = await fetch(url, { method: 'POST', headers: { 'X-Device-Token': deviceToken }, body: formData });
+        } catch (e) {
+            return { ok: false, retry: true, status: 0, data: null };
+        }
+
+        const data = await response.json().catch(() => null);
+        return { ok: response.ok, retry: !response.ok && shouldRetry(response.status, data), status: response.status, data };
+    }
+
+    // Send everything that is waiting, oldest first. Stops at the first network
+    // failure: the rest would fail the same way.
+    async function flush() {
+        const results = [];
+        for (const id of await ids()) {
+            const entry = await claim(id);
+            if (!entry) continue;
+
+            const result = await send(entry);
+            if (result.retry && result.status && entry.attempts + 1 >= MAX_ATTEMPTS) {
+                result.retry = false; // reported to the guest as failed, with the server's reason
+            }
+            if (result.retry) await release(id, Boolean(result.status));
+            else await remove(id);
+            results.push({ entry, ...result });
+
+            if (result.retry) break;
+        }
+        return results;
+    }
+
+    return { SYNC_TAG, add, count, send, flush };
+})();
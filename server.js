@@ -1,80 +1,123 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
 const https = require('https');
-const { google } = require('googleapis');
-const winston = require('winston');
-const { GoogleGenAI } = require('@google/genai');
 const sharp = require('sharp');
 const { log } = require('console');
+const { createStorage, createDriveFolders } = require('./lib/storage');
+const { createPrinter } = require('./lib/printer');
+const { createPrintQueue } = require('./lib/print-queue');
+const { createJobTracker } = require('./lib/jobs');
+const { createAdminAuth } = require('./lib/admin-auth');
+const { cacheKey } = require('./lib/styles');
+const { createStyleStore } = require('./lib/style-store');
+const { createCardCompositor } = require('./lib/card-compositor');
+const { sanitizeGreetingMessage } = require('./lib/greeting-message');
+const { createWallFeed } = require('./lib/wall');
+const { createCheerRounds } = require('./lib/cheer');
+const { openEventStream } = require('./lib/sse');
+const { createImageGenerator } = require('./lib/image-providers');
+const { createOptimizeQueue } = require('./lib/optimize-queue');
+const { createResultCache } = require('./lib/result-cache');
+const { createGuestLimits } = require('./lib/guest-limits');
+const { createImageUpload } = require('./lib/image-upload');
+const { LAYOUTS, getLayout, composeCollage } = require('./lib/collage');
+const { createEventRegistry } = require('./lib/event-registry');
+const { createConfig } = require('./lib/config');
+const { createLogger } = require('./lib/logging');
+const { createMetrics } = require('./lib/metrics');
+const { createGoogleAuth } = require('./lib/google-auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const USE_HTTPS = process.env.USE_HTTPS !== 'false'; // Enable HTTPS by default
 
-// Create logs directory if it doesn't exist
-const logsDir = path.join(__dirname, 'logs');
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir);
-}
+// Winston logger: daily files in logs/, request IDs on every line (lib/logging.js)
+const logging = createLogger({ dir: path.join(__dirname, 'logs') });
+const { logger, requestContext } = logging;
 
-// Configure Winston Logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-    winston.format.errors({ stack: true }),
-    winston.format.printf(({ timestamp, level, message, ...meta }) => {
-      const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
-      return `${timestamp} [${level.toUpperCase()}] ${message} ${metaStr}`;
-    })
-  ),
-  transports: [
-    // Console output
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    }),
-    // File output with timestamp in filename
-    new winston.transports.File({
-      filename: path.join(logsDir, `app-${new Date().toISOString().split('T')[0]}.log`),
-      maxsize: 5242880, // 5MB
-      maxFiles: 5
-    }),
-    // Error logs
-    new winston.transports.File({
-      filename: path.join(logsDir, `error-${new Date().toISOString().split('T')[0]}.log`),
-      level: 'error',
-      maxsize: 5242880, // 5MB
-      maxFiles: 5
-    })
-  ]
-});
+// Load configuration and credentials (validated, environment overrides, config.json reloads)
+let settings;
+try {
+  settings = createConfig({ dir: __dirname, logger });
+} catch (error) {
+  logger.error(`Cannot start: ${error.message}`);
+  process.exit(1);
+}
+const { config, credentials, cardTemplates } = settings;
+logging.configure({ format: config.LOG_FORMAT, retentionDays: config.LOG_RETENTION_DAYS });
 
-// Load configuration and credentials
-const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'config.json'), 'utf8'));
-const credentials = JSON.parse(fs.readFileSync(path.join(__dirname, 'credentials.json'), 'utf8'));
-const imageStylePrompts = JSON.parse(fs.readFileSync(path.join(__dirname, 'image-style-prompts.json'), 'utf8'));
+// Counters and latencies for /metrics
+const metrics = createMetrics();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const uploadCount = metrics.counter('uploads_total', 'Card uploads by event and outcome', ['event', 'outcome']);
+const optimizeCount = metrics.counter('optimizations_total', 'Style generations by style and outcome', ['style', 'outcome']);
+const optimizeDuration = metrics.histogram('optimize_duration_seconds', 'Time to stylize one photo, by style and provider', ['style', 'provider']);
+metrics.gauge('uptime_seconds', 'Seconds since the server started', [], () => [{ value: Math.round(process.uptime()) }]);
 
-// Setup multer for file uploads
-const upload = multer({ storage: multer.memoryStorage() });
+// Guest image intake: size limits, magic-byte checks and sharp normalization
+const imageUpload = createImageUpload({ config, logger });
 
 // Middleware
 app.set('trust proxy', 1); // Trust the first proxy (Nginx on Bitnami)
+
+// Every request gets an ID (the proxy's X-Request-Id when it sends one) that
+// is returned in the response and added to each log line written for it
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  // Route patterns, not paths, so photo and job IDs do not each become a series
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : res.statusCode === 404 ? 'unmatched' : 'static';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+
+  requestContext.run({ requestId: req.id }, next);
+});
+
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// /e/:slug/... is served by the same routes and pages as /..., for that event.
+// Everything else belongs to the default event configured in config.json.
+app.use((req, res, next) => {
+  const match = req.url.match(/^\/e\/([^/?]+)(\/[^?]*)?(\?.*)?$/);
+  if (!match) {
+    req.eventContext = defaultContext;
+    return next();
+  }
+
+  const context = eventContexts.get(match[1]);
+  if (!context) {
+    logger.warn('Unknown event requested', { slug: match[1], path: req.path, ip: req.ip });
+    return res.status(404).json({ error: 'Event not found', code: 'EVENT_NOT_FOUND' });
+  }
+
+  // The pages use relative URLs, which need the trailing slash
+  if (!match[2]) {
+    return res.redirect(302, `/e/${match[1]}/${match[3] || ''}`);
+  }
+
+  req.eventContext = context;
+  req.url = match[2] + (match[3] || '');
+  next();
+});
+
 // Serve static files with caching headers
 app.use(express.static(path.join(__dirname, 'public'), {
   maxAge: '1d', // Cache static files for 1 day
   etag: false,  // Disable etag for better caching
   lastModified: true,
   setHeaders: (res, path) => {
+    // Browsers must see a new service worker as soon as it is deployed
+    if (path.endsWith('sw.js')) res.setHeader('Cache-Control', 'no-cache');
+
     // Log static file access
     if (path.match(/\.(js|css|png|jpg|jpeg|gif|ico|svg|webp)$/i)) {
       logger.debug('Static file served', { file: path });
@@ -82,34 +125,285 @@ app.use(express.static(path.join(__dirname, 'public'), {
   }
 }));
 
-// Initialize Google Drive API with OAuth 2.0
-function getDriveService() {
-  const oauth2Client = new google.auth.OAuth2(
-    credentials.installed.client_id,
-    credentials.installed.client_secret,
-    credentials.installed.redirect_uris[0]
-  );
+// Style image generation: Gemini or the offline sharp stylizer, with failover
+const imageGenerator = createImageGenerator({ config, credentials, logger, metrics });
+
+// Google account behind Drive storage, connected from /admin and kept in token.json
+const googleAuth = createGoogleAuth({ config, credentials, tokenPath: path.join(__dirname, 'token.json'), logger });
 
-  // Check if token.json exists
-  const tokenPath = path.join(__dirname, 'token.json');
-  if (!fs.existsSync(tokenPath)) {
-    throw new Error('token.json not found. Please run generate-token.js first.');
+// Style prompts, edited from /admin or in the file, applied without a restart
+const styleStore = createStyleStore({
+  file: path.join(__dirname, 'image-style-prompts.json'),
+  historyFile: path.join(__dirname, config.STYLE_HISTORY_FILE || 'data/style-history.json'),
+  providers: imageGenerator.providers,
+  localEffects: imageGenerator.localEffects,
+  logger
+});
+
+// Optimized images by photo hash + style, so retries skip the generation call
+const resultCache = createResultCache({
+  dir: path.join(__dirname, config.OPTIMIZE_CACHE_DIR || 'cache/optimized'),
+  maxEntries: config.OPTIMIZE_CACHE_MAX_ENTRIES,
+  // Fallback results last as long as the failed provider is skipped anyway
+  fallbackTtlMs: config.IMAGE_PROVIDER_COOLDOWN_MS,
+  logger
+});
+
+// Stylize one photo, reusing the cached result for the same bytes and style
+async function stylizePhoto({ buffer, mimeType, hash, style }, { signal, onRetry }) {
+  // The same photo may have finished in another job while this one waited
+  const cached = await resultCache.get(hash, cacheKey(style));
+  if (cached) {
+    return { buffer: cached, provider: 'cache' };
   }
 
-  const token = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
-  oauth2Client.setCredentials(token);
+  const { buffer: optimizedImageBuffer, provider, fallback } = await imageGenerator.generate({ buffer, mimeType, style, signal, onRetry });
+
+  // Optimize the image further using sharp for compression and quality
+  const finalImageBuffer = await sharp(optimizedImageBuffer)
+    .resize(1024, 1024, {
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .png({ quality: 95, progressive: true })
+    .toBuffer();
+
+  // Short-lived when it is a fallback, so it does not shadow the real one once the provider is back
+  await resultCache.set(hash, cacheKey(style), finalImageBuffer, { fallback });
+
+  return { buffer: finalImageBuffer, provider };
+}
+
+// Work done by the optimization queue, by job type
+const optimizeJobs = {
+  async optimize({ buffer, mimeType, filename, hash, style, refundQuota }, context) {
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await stylizePhoto({ buffer, mimeType, hash, style }, context);
+    } catch (error) {
+      optimizeCount.inc({ style: style.id, outcome: 'failed' });
+      // Guests should not lose an AI generation to our outage
+      refundQuota();
+      throw error;
+    }
+    optimizeCount.inc({ style: style.id, outcome: 'success' });
+    optimizeDuration.observe({ style: style.id, provider: result.provider }, (Date.now() - startedAt) / 1000);
+
+    logger.info('Image optimization completed successfully', {
+      filename,
+      originalSize: buffer.length,
+      optimizedSize: result.buffer.length,
+      styleId: style.id,
+      provider: result.provider
+    });
+    return { ...result, mimeType: 'image/png' };
+  },
+
+  async collage({ photos, layout, style, refundQuota }, context) {
+    let tiles = photos.map(photo => photo.buffer);
+    let provider = null;
 
-  // Handle token refresh and auto-save
-  oauth2Client.on('tokens', (newTokens) => {
-    if (newTokens.refresh_token) {
-      token.refresh_token = newTokens.refresh_token;
+    if (style) {
+      try {
+        tiles = [];
+        for (const photo of photos) {
+          const result = await stylizePhoto({ ...photo, style }, context);
+          tiles.push(result.buffer);
+          provider = result.provider;
+        }
+      } catch (error) {
+        refundQuota();
+        throw error;
+      }
     }
-    token.access_token = newTokens.access_token;
-    fs.writeFileSync(tokenPath, JSON.stringify(token, null, 2));
-    logger.info('Google Drive token refreshed and saved');
+
+    const buffer = await composeCollage(tiles, layout);
+    logger.info('Collage completed', { layout: layout.id, photos: photos.length, styleId: style?.id || null, size: buffer.length });
+    return { buffer, provider, mimeType: 'image/jpeg' };
+  }
+};
+
+// Optimization jobs: limited concurrency so a full reception does not hit rate limits
+const optimizeQueue = createOptimizeQueue({
+  logger,
+  concurrency: config.OPTIMIZE_CONCURRENCY,
+  timeoutMs: config.OPTIMIZE_TIMEOUT_MS,
+  maxQueued: config.OPTIMIZE_MAX_QUEUED,
+  run: (input, context) => optimizeJobs[input.type](input, context)
+});
+metrics.gauge('optimize_queue_jobs', 'Optimization jobs by state', ['state'], () => {
+  const { running, queued } = optimizeQueue.getStats();
+  return [{ labels: { state: 'running' }, value: running }, { labels: { state: 'queued' }, value: queued }];
+});
+
+// ---------- Events ----------
+
+// Event settings that change where uploads are stored need a fresh print queue
+const STORAGE_KEYS = [
+  'GOOGLE_DRIVE_QUEUE_FOLDER_ID',
+  'GOOGLE_DRIVE_PROCESSED_FOLDER_ID',
+  'GOOGLE_DRIVE_REJECTED_FOLDER_ID',
+  'LOCAL_STORAGE_DIR'
+];
+
+// config.json as seen by one event: its own folders and card texts
+function eventConfig(event) {
+  return {
+    ...config,
+    GOOGLE_DRIVE_QUEUE_FOLDER_ID: event.drive.queueFolderId,
+    GOOGLE_DRIVE_PROCESSED_FOLDER_ID: event.drive.processedFolderId,
+    GOOGLE_DRIVE_REJECTED_FOLDER_ID: event.drive.rejectedFolderId,
+    LOCAL_STORAGE_DIR: path.join(config.LOCAL_STORAGE_DIR || 'storage', 'events', event.slug),
+    COUPLE_NAMES: event.coupleNames,
+    WEDDING_DATE: event.weddingDate,
+    WEDDING_HASHTAG: event.hashtag
+  };
+}
+
+function eventStyles(event) {
+  return styleStore.catalog(event ? event.styleIds : []);
+}
+
+/**
+ * Everything that belongs to one wedding: storage folders, print queue,
+ * guest job tracking, wall feed, style list, card texts and the moderator
+ * switches. The default event (event = null) is configured by config.json.
+ */
+function createEventContext(event) {
+  const contextConfig = event ? eventConfig(event) : config;
+  const contextLogger = event ? logger.child({ event: event.slug }) : logger;
+
+  // Storage backend for uploads (Google Drive or local disk, see STORAGE_BACKEND)
+  const storage = createStorage({ config: contextConfig, googleAuth, baseDir: __dirname, logger: contextLogger });
+
+  // Lays photos out on print templates (polaroid, postcard, 5x7)
+  const cardCompositor = createCardCompositor({ templates: cardTemplates, config: contextConfig, baseDir: __dirname, logger: contextLogger });
+
+  // Print queue worker: queue folder -> printer -> processed folder. It always
+  // follows the queue folder (moderation and the wall need it); PRINT_QUEUE_ENABLED
+  // only decides whether approved files are printed.
+  const printQueue = createPrintQueue({
+    storage,
+    printer: createPrinter({ config: contextConfig, logger: contextLogger, compositor: cardCompositor }),
+    logger: contextLogger,
+    pollIntervalMs: config.PRINT_POLL_INTERVAL_MS,
+    maxRetries: config.PRINT_MAX_RETRIES,
+    requireApproval: config.REQUIRE_APPROVAL === true,
+    printing: config.PRINT_QUEUE_ENABLED === true
   });
+  printQueue.start();
+
+  return {
+    event,
+    config: contextConfig,
+    storage,
+    cardCompositor,
+    printQueue,
+    // Guest-facing job status, driven by the print queue
+    jobs: createJobTracker({ printQueue }),
+    // Approved photos for the /wall projector page
+    wallFeed: createWallFeed({ printQueue }),
+    styles: eventStyles(event),
+    // Moderator-controlled switches, seeded from the event and changed at runtime from /admin
+    runtimeSettings: {
+      uploadsEnabled: event ? event.uploadsEnabled : config.ENABLE_UPLOAD_IMAGE === true,
+      optimizationEnabled: event ? event.optimizationEnabled : config.ENABLE_AI_OPTIMIZATION !== false
+    }
+  };
+}
+
+// Apply an edited event; texts and switches change in place so queued prints keep their state
+function updateEventContext(event) {
+  const current = eventContexts.get(event.slug);
+  const nextConfig = eventConfig(event);
+
+  if (current && STORAGE_KEYS.every(key => current.config[key] === nextConfig[key])) {
+    Object.assign(current.config, nextConfig);
+    current.event = event;
+    current.styles = eventStyles(event);
+    current.runtimeSettings.uploadsEnabled = event.uploadsEnabled;
+    current.runtimeSettings.optimizationEnabled = event.optimizationEnabled;
+    return;
+  }
+
+  if (current) current.printQueue.stop();
+  eventContexts.set(event.slug, createEventContext(event));
+}
+
+function removeEventContext(slug) {
+  const current = eventContexts.get(slug);
+  if (current) current.printQueue.stop();
+  eventContexts.delete(slug);
+}
+
+// Event texts and theme for the guest page
+function toPublicEvent({ event }) {
+  if (!event) {
+    return {
+      slug: null,
+      name: '',
+      coupleNames: config.COUPLE_NAMES || '',
+      weddingDate: config.WEDDING_DATE || '',
+      hashtag: config.WEDDING_HASHTAG || '',
+      theme: {},
+      messages: {}
+    };
+  }
+  const { slug, name, coupleNames, weddingDate, hashtag, theme, messages } = event;
+  return { slug, name, coupleNames, weddingDate, hashtag, theme, messages };
+}
+
+const defaultContext = createEventContext(null);
+logger.info('Storage backend initialized', { backend: defaultContext.storage.name });
+
+// Further weddings at /e/:slug, managed from /admin and stored in EVENTS_FILE
+const eventRegistry = createEventRegistry({
+  file: path.join(__dirname, config.EVENTS_FILE || 'data/events.json'),
+  hasStyle: id => Boolean(styleStore.get(id)),
+  requireDrive: (config.STORAGE_BACKEND || 'google-drive') === 'google-drive',
+  logger
+});
+const eventContexts = new Map(eventRegistry.list().map(event => [event.slug, createEventContext(event)]));
+logger.info('Events loaded', { events: [...eventContexts.keys()] });
+
+// Style edits reach every event's picker right away
+styleStore.events.on('change', () => {
+  for (const context of [defaultContext, ...eventContexts.values()]) {
+    context.styles = eventStyles(context.event);
+  }
+});
+
+// config.json edits: the log format, the default event's switches, and every
+// event's config copy with the new texts and card settings
+settings.events.on('change', (keys) => {
+  logging.configure({ format: config.LOG_FORMAT, retentionDays: config.LOG_RETENTION_DAYS });
+  if (keys.includes('ENABLE_UPLOAD_IMAGE')) {
+    defaultContext.runtimeSettings.uploadsEnabled = config.ENABLE_UPLOAD_IMAGE;
+  }
+  if (keys.includes('ENABLE_AI_OPTIMIZATION')) {
+    defaultContext.runtimeSettings.optimizationEnabled = config.ENABLE_AI_OPTIMIZATION;
+  }
+  for (const context of eventContexts.values()) {
+    Object.assign(context.config, eventConfig(context.event));
+  }
+});
 
-  return google.drive({ version: 'v3', auth: oauth2Client });
+// Moderator-started "shake to cheer" rounds for the /cheer big screen, shared by all events
+const cheer = createCheerRounds({ logger });
+
+const requireAdmin = createAdminAuth({ config, logger });
+
+// Per-IP / per-device rate limits and per-guest quotas on generations and prints
+const guestLimits = createGuestLimits({ config, logger });
+
+/**
+ * Guest-facing errors carry a stable `code` next to the English `error`; the
+ * guest page shows its own translation of the code (public/locales). Errors
+ * we did not raise on purpose are reported as INTERNAL_ERROR.
+ */
+function errorCode(error) {
+  return error.status && error.code ? error.code : 'INTERNAL_ERROR';
 }
 
 // Routes
@@ -123,116 +417,619 @@ app.get('/shake-detector', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'shake-detector.html'));
 });
 
-app.get('/api/health', (req, res) => {
-  logger.info('Health check requested');
-  res.json({ status: 'Server is running', timestamp: new Date() });
+app.get('/wall', (req, res) => {
+  logger.info('Wedding wall page requested', { ip: req.ip });
+  res.sendFile(path.join(__dirname, 'public', 'wall.html'));
 });
 
-// Optimize image endpoint using Google Gemini
-app.post('/api/optimize-image', upload.single('image'), async (req, res) => {
-  try {
-    if (!req.file) {
-      logger.warn('Image optimization attempt without file', { ip: req.ip });
-      return res.status(400).json({ error: 'No image uploaded' });
+app.get('/cheer', (req, res) => {
+  logger.info('Cheer screen page requested', { ip: req.ip });
+  res.sendFile(path.join(__dirname, 'public', 'cheer.html'));
+});
+
+app.get('/admin', requireAdmin, (req, res) => {
+  logger.info('Admin dashboard requested', { ip: req.ip });
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Web app manifest, so guests can add the event's page to their home screen.
+// Relative URLs keep /e/:slug installs scoped to that event.
+app.get('/manifest.webmanifest', (req, res) => {
+  const event = toPublicEvent(req.eventContext);
+  const name = event.name || event.coupleNames || 'Wedding Greeting Card';
+  res.type('application/manifest+json').json({
+    name,
+    short_name: name.length > 12 ? 'Wedding Card' : name,
+    start_url: './',
+    scope: './',
+    display: 'standalone',
+    background_color: '#ffffff',
+    theme_color: event.theme.accent || '#c5a403',
+    icons: [{ src: 'icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' }]
+  });
+});
+
+// ---------- Health and Metrics ----------
+
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+
+function withTimeout(promise, ms) {
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error(`No answer within ${ms} ms`)), ms).unref())
+  ]);
+}
+
+// Whether each event's storage backend can be used right now
+function checkStorage(contexts) {
+  return Promise.all(contexts.map(async ({ event, storage }) => {
+    const startedAt = Date.now();
+    try {
+      await withTimeout(storage.check(), HEALTH_CHECK_TIMEOUT_MS);
+      return { event: event?.slug || null, backend: storage.name, ok: true, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      return { event: event?.slug || null, backend: storage.name, ok: false, error: error.message };
     }
+  }));
+}
 
-    // Validate that the uploaded file is an image
-    if (!req.file.mimetype.startsWith('image/')) {
-      logger.warn('Invalid file type for optimization', { 
-        mimetype: req.file.mimetype, 
-        ip: req.ip 
-      });
-      return res.status(400).json({ error: 'File must be an image' });
+// Storage of every event and every image provider, checked in parallel
+async function runHealthChecks() {
+  const signal = AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS);
+  const [providers, storage] = await Promise.all([
+    imageGenerator.check({ signal }),
+    checkStorage([defaultContext, ...eventContexts.values()])
+  ]);
+  return { storage, providers };
+}
+
+/**
+ * Liveness for load balancers. With ?deep=1 (admin only, it calls Drive and
+ * Gemini) the storage backends and image providers are actually tried, and
+ * any failure answers 503.
+ */
+app.get('/api/health', (req, res, next) => {
+  if (req.query.deep !== '1') {
+    return res.json({ status: 'ok', uptime: Math.round(process.uptime()), timestamp: new Date() });
+  }
+  requireAdmin(req, res, async () => {
+    try {
+      const checks = await runHealthChecks();
+      const ok = checks.storage.every(check => check.ok) && Object.values(checks.providers).every(check => check.ok);
+      if (!ok) logger.warn('Deep health check failed', { checks });
+      res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'degraded', uptime: Math.round(process.uptime()), timestamp: new Date(), checks });
+    } catch (error) {
+      next(error);
     }
+  });
+});
 
-    if (typeof req.body.imageStyleIndex === 'undefined' || isNaN(req.body.imageStyleIndex) || req.body.imageStyleIndex < 0 || req.body.imageStyleIndex >= imageStylePrompts.length) {
-      logger.warn('Invalid image style index', { 
-        imageStyleIndex: req.body.imageStyleIndex,
-        ip: req.ip
-      });
-      return res.status(400).json({ error: 'Invalid image style selected' });
+// Prometheus scrape endpoint, behind the admin password (basic_auth in the scrape config)
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.type(metrics.contentType).send(metrics.render());
+});
+
+// Print queue status for the reception desk; the full entries are in /api/admin/uploads
+app.get('/api/print-queue', (req, res) => {
+  res.json({
+    enabled: config.PRINT_QUEUE_ENABLED === true,
+    ...req.eventContext.printQueue.getPublicSnapshot()
+  });
+});
+
+// Style catalog for the guest style picker, localized with ?lang=th
+app.get('/api/styles', (req, res) => {
+  const { styles } = req.eventContext;
+  res.json({
+    defaultStyleId: styles.defaultStyle.id,
+    styles: styles.list(req.query.lang)
+  });
+});
+
+// Feature switches, limits and event texts the guest page needs to know about
+app.get('/api/settings', (req, res) => {
+  res.json({
+    ...req.eventContext.runtimeSettings,
+    messageMaxLength: config.GREETING_MESSAGE_MAX_LENGTH,
+    maxUploadSizeMb: imageUpload.maxFileSizeMb,
+    event: toPublicEvent(req.eventContext)
+  });
+});
+
+// What this guest has left of their AI generations and prints (null = unlimited)
+app.get('/api/quota', (req, res) => {
+  res.json(guestLimits.remaining(req));
+});
+
+// ---------- Wedding Wall ----------
+
+app.get('/api/wall/photos', (req, res) => {
+  res.json({
+    transitionMs: config.WALL_TRANSITION_MS || 8000,
+    layout: config.WALL_LAYOUT || 'slideshow',
+    showMessages: config.WALL_SHOW_MESSAGES !== false,
+    photos: req.eventContext.wallFeed.list()
+  });
+});
+
+app.get('/api/wall/photos/:id/image', async (req, res) => {
+  try {
+    const { wallFeed, storage } = req.eventContext;
+    const photo = wallFeed.get(req.params.id);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found', code: 'PHOTO_NOT_FOUND' });
     }
 
-    const imageStyleIndex = parseInt(req.body.imageStyleIndex);
+    const buffer = await storage.read(photo.id, photo.folder);
+    const image = await sharp(buffer)
+      .rotate()
+      .resize(1920, 1920, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toBuffer();
 
-    logger.info('Image optimization started', { 
-      filename: req.file.originalname, 
-      filesize: req.file.size,
-      mimetype: req.file.mimetype,
-      ip: req.ip,
-      imageStyleIndex: req.body.imageStyleIndex
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.send(image);
+  } catch (error) {
+    logger.error('Wall image error', { error: error.message, id: req.params.id });
+    res.status(500).json({ error: error.message || 'Failed to load photo', code: 'INTERNAL_ERROR' });
+  }
+});
+
+// New approved photos pushed to wall screens as Server-Sent Events
+app.get('/api/wall/events', (req, res) => {
+  const { wallFeed } = req.eventContext;
+  const onPhoto = (photo) => stream.send(photo, 'photo');
+  const onRemove = (id) => stream.send({ id }, 'remove');
+  const stream = openEventStream(req, res, () => {
+    wallFeed.events.off('photo', onPhoto);
+    wallFeed.events.off('remove', onRemove);
+    logger.info('Wall screen disconnected', { ip: req.ip });
+  });
+
+  wallFeed.events.on('photo', onPhoto);
+  wallFeed.events.on('remove', onRemove);
+  logger.info('Wall screen connected', { ip: req.ip });
+});
+
+// ---------- Shake to Cheer ----------
+
+// Phones post their averaged shake intensity a few times per second during a round
+app.post('/api/cheer/samples', guestLimits.rateLimit('cheer'), (req, res) => {
+  const { deviceId, name, intensity } = req.body || {};
+  if (typeof deviceId !== 'string' || !deviceId || deviceId.length > 64 || !Number.isFinite(intensity)) {
+    return res.status(400).json({ error: 'deviceId and a numeric intensity are required', code: 'INVALID_CHEER_SAMPLE' });
+  }
+
+  if (!cheer.addSample({ deviceId, name: typeof name === 'string' ? name : '', intensity })) {
+    return res.status(409).json({ error: 'No cheer round is running', code: 'CHEER_NOT_RUNNING' });
+  }
+  res.status(204).end();
+});
+
+// Round state for phones; ?live=1 adds meter ticks for the big screen
+app.get('/api/cheer/events', (req, res) => {
+  const live = req.query.live === '1';
+  const onState = (state) => stream.send(state, 'state');
+  const onTick = (snapshot) => stream.send(snapshot, 'tick');
+  const stream = openEventStream(req, res, () => {
+    cheer.events.off('state', onState);
+    cheer.events.off('tick', onTick);
+  });
+
+  cheer.events.on('state', onState);
+  stream.send(cheer.getState(), 'state');
+  if (live) {
+    cheer.events.on('tick', onTick);
+    stream.send(cheer.getSnapshot(), 'tick');
+  }
+});
+
+// ---------- Moderation API (admin only) ----------
+
+app.use('/api/admin', requireAdmin);
+
+app.get('/api/admin/uploads', (req, res) => {
+  res.json({
+    workerEnabled: config.PRINT_QUEUE_ENABLED === true,
+    requireApproval: config.REQUIRE_APPROVAL === true,
+    ...req.eventContext.printQueue.getSnapshot()
+  });
+});
+
+app.get('/api/admin/uploads/:id/thumbnail', async (req, res) => {
+  try {
+    const { printQueue, storage } = req.eventContext;
+    const entry = printQueue.getEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const buffer = await storage.read(entry.id, entry.folder);
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(320, 320, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.send(thumbnail);
+  } catch (error) {
+    logger.error('Thumbnail generation error', { error: error.message, id: req.params.id });
+    res.status(500).json({ error: error.message || 'Thumbnail generation failed' });
+  }
+});
+
+// Print-ready card preview, optionally for another template or format
+app.get('/api/admin/uploads/:id/card', async (req, res) => {
+  try {
+    const { printQueue, storage, cardCompositor } = req.eventContext;
+    const entry = printQueue.getEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const buffer = await storage.read(entry.id, entry.folder);
+    const card = await cardCompositor.compose(buffer, {
+      templateId: req.query.template || undefined,
+      format: req.query.format || undefined,
+      text: { message: entry.message || undefined }
     });
 
-    // Get the Gemini API key from credentials
-    const geminiApiKey = credentials.installed?.gemini_api_key;
-    if (!geminiApiKey) {
-      logger.error('Gemini API key not found in credentials');
-      return res.status(500).json({ error: 'Gemini API key not configured' });
+    res.setHeader('Content-Type', card.mimeType);
+    res.setHeader('Content-Disposition', `inline; filename="card_${path.parse(entry.name).name}.${card.extension}"`);
+    res.send(card.buffer);
+  } catch (error) {
+    logger.error('Card preview error', { error: error.message, id: req.params.id });
+    res.status(500).json({ error: error.message || 'Card preview failed' });
+  }
+});
+
+app.get('/api/admin/card-templates', (req, res) => {
+  res.json({ templates: req.eventContext.cardCompositor.listTemplates() });
+});
+
+app.post('/api/admin/uploads/:id/:action(approve|reject|reprint)', async (req, res) => {
+  const { id, action } = req.params;
+  try {
+    const entry = await req.eventContext.printQueue[action](id);
+    logger.info('Moderator action applied', { id, action, ip: req.ip });
+    res.json({ success: true, item: entry });
+  } catch (error) {
+    logger.warn('Moderator action failed', { id, action, error: error.message, ip: req.ip });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/settings', (req, res) => {
+  res.json(req.eventContext.runtimeSettings);
+});
+
+app.post('/api/admin/settings', (req, res) => {
+  const { runtimeSettings } = req.eventContext;
+  for (const key of Object.keys(runtimeSettings)) {
+    if (typeof req.body[key] === 'boolean') {
+      runtimeSettings[key] = req.body[key];
     }
+  }
+  logger.info('Runtime settings updated', { ...runtimeSettings, event: req.eventContext.event?.slug, ip: req.ip });
+  res.json(runtimeSettings);
+});
+
+app.get('/api/admin/cheer', (req, res) => {
+  res.json(cheer.getState());
+});
 
-    // Initialize Gemini API
-    const genAI = new GoogleGenAI({apiKey: geminiApiKey});
+app.post('/api/admin/cheer/:action(start|stop)', (req, res) => {
+  res.json(cheer[req.params.action]());
+});
+
+// ---------- Event management (admin only) ----------
 
-    // Convert image buffer to base64
-    const base64Image = req.file.buffer.toString('base64');
-    const mimeType = req.file.mimetype;
+app.get('/api/admin/events', (req, res) => {
+  res.json({ events: eventRegistry.list(), styles: styleStore.list() });
+});
+
+app.post('/api/admin/events', async (req, res) => {
+  try {
+    const event = await eventRegistry.create(req.body);
+    updateEventContext(event);
+    res.status(201).json(event);
+  } catch (error) {
+    logger.warn('Event creation failed', { error: error.message, ip: req.ip });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    // Send image to Gemini for optimization and image generation
-    if (imageStylePrompts.length === 0) {
-      logger.error('No image style prompts found');
-      return res.status(500).json({ error: 'Image style prompts not configured' });
+app.put('/api/admin/events/:slug', async (req, res) => {
+  try {
+    const event = await eventRegistry.update(req.params.slug, req.body);
+    updateEventContext(event);
+    res.json(event);
+  } catch (error) {
+    logger.warn('Event update failed', { slug: req.params.slug, error: error.message, ip: req.ip });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Uploads stay in the event's folders; only the /e/:slug address goes away
+app.delete('/api/admin/events/:slug', async (req, res) => {
+  try {
+    await eventRegistry.remove(req.params.slug);
+    removeEventContext(req.params.slug);
+    res.status(204).end();
+  } catch (error) {
+    logger.warn('Event deletion failed', { slug: req.params.slug, error: error.message, ip: req.ip });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ---------- Google account (admin only) ----------
+
+const GOOGLE_CALLBACK_PATH = '/admin/google/callback';
+
+// A redirect URI registered on the OAuth client wins (needed behind a proxy
+// with another host name); otherwise the address the dashboard was opened at
+function googleRedirectUri(req) {
+  const registered = (credentials.installed.redirect_uris || []).find(uri => uri.endsWith(GOOGLE_CALLBACK_PATH));
+  return registered || `${req.protocol}://${req.get('host')}${GOOGLE_CALLBACK_PATH}`;
+}
+
+function dashboardPath(event) {
+  return event ? `/e/${encodeURIComponent(event.slug)}/admin` : '/admin';
+}
+
+app.get('/admin/google/connect', requireAdmin, (req, res) => {
+  try {
+    const url = googleAuth.start({ redirectUri: googleRedirectUri(req), returnTo: dashboardPath(req.eventContext.event) });
+    logger.info('Google account connection started', { ip: req.ip });
+    res.redirect(302, url);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Google sends the moderator back here; the dashboard shows how it went
+app.get(GOOGLE_CALLBACK_PATH, requireAdmin, async (req, res) => {
+  const { state, code, error } = req.query;
+  try {
+    const returnTo = await googleAuth.finish({ state, code, error });
+    res.redirect(302, `${returnTo}?google=connected`);
+  } catch (failure) {
+    logger.warn('Google account connection failed', { error: failure.message, ip: req.ip });
+    res.redirect(302, `${failure.returnTo || '/admin'}?google=failed&reason=${encodeURIComponent(failure.message)}`);
+  }
+});
+
+app.get('/api/admin/google', async (req, res) => {
+  try {
+    const status = await googleAuth.status();
+    const drive = [defaultContext, ...eventContexts.values()].filter(context => context.storage.name === 'google-drive');
+    res.json({ ...status, redirectUri: googleRedirectUri(req), storage: status.connected ? await checkStorage(drive) : [] });
+  } catch (error) {
+    logger.error('Google status failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Folders for config.json or an event, made through the API so drive.file can reach them
+app.post('/api/admin/google/folders', async (req, res) => {
+  const requested = typeof req.body?.name === 'string' ? req.body.name.trim().slice(0, 100) : '';
+  const name = requested || 'Wedding cards';
+  try {
+    const folders = await createDriveFolders({ googleAuth, name });
+    logger.info('Google Drive folders created', { name, ...folders, ip: req.ip });
+    res.status(201).json(folders);
+  } catch (error) {
+    logger.error('Google Drive folder creation failed', { name, error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/google/disconnect', async (req, res) => {
+  try {
+    await googleAuth.disconnect();
+    res.json(await googleAuth.status());
+  } catch (error) {
+    logger.error('Google disconnect failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ---------- Style management (admin only) ----------
+
+app.get('/api/admin/styles', (req, res) => {
+  res.json({ styles: styleStore.list(), providers: imageGenerator.providers, localEffects: imageGenerator.localEffects });
+});
+
+app.post('/api/admin/styles', (req, res) => {
+  try {
+    res.status(201).json(styleStore.create(req.body));
+  } catch (error) {
+    logger.warn('Style creation failed', { error: error.message, ip: req.ip });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Body: { ids: [...] }, every style id in the new picker order
+app.post('/api/admin/styles/reorder', (req, res) => {
+  try {
+    res.json({ styles: styleStore.reorder(req.body.ids) });
+  } catch (error) {
+    logger.warn('Style reorder failed', { error: error.message, ip: req.ip });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Run a sample photo through a draft style without saving it or touching the result cache.
+// Multipart: image, style (the style as JSON), provider (optional, no fallback when set).
+app.post('/api/admin/styles/preview', imageUpload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded', code: 'NO_IMAGE' });
     }
 
-    const prompt = [
-    { text: imageStylePrompts[req.body.imageStyleIndex]?.text || imageStylePrompts.find(prompt => prompt.default)?.text || imageStylePrompts[0].text },
-    {
-      inlineData: {
-        mimeType: mimeType,
-        data: base64Image,
-      },
-    },
-  ];
+    let style = styleStore.normalize(JSON.parse(req.body.style || '{}'));
+    if (req.body.provider) {
+      style = styleStore.normalize({ ...style, provider: req.body.provider, fallback: [] });
+    }
 
-    const response = await genAI.models.generateContent({
-      model: "gemini-2.5-flash-image",
-      contents: prompt,
+    const startedAt = Date.now();
+    const result = await imageGenerator.generate({
+      buffer: req.file.buffer,
+      mimeType: req.file.mimetype,
+      style,
+      signal: AbortSignal.timeout(config.OPTIMIZE_TIMEOUT_MS || 90000)
     });
-    
-    // Extract the generated image from response
-    const imagePart = response.candidates[0]?.content?.parts?.find(
-      part => part.inlineData?.mimeType?.startsWith('image/')
-    );
-
-    if (!imagePart || !imagePart.inlineData?.data) {
-      logger.error('No image generated from Gemini');
-      return res.status(500).json({ error: 'Failed to generate optimized image' });
-    }
-
-    // Get the generated image data
-    const optimizedImageBase64 = imagePart.inlineData.data;
-    const optimizedImageBuffer = Buffer.from(optimizedImageBase64, 'base64');
-
-    // Optimize the image further using sharp for compression and quality
-    const finalImageBuffer = await sharp(optimizedImageBuffer)
-      .resize(1024, 1024, {
-        fit: 'inside',
-        withoutEnlargement: true
-      })
-      .png({ quality: 95, progressive: true })
+    const image = await sharp(result.buffer)
+      .resize(1024, 1024, { fit: 'inside', withoutEnlargement: true })
+      .png()
       .toBuffer();
 
-    logger.info('Image optimization completed successfully', {
-      filename: req.file.originalname,
-      originalSize: req.file.size,
-      optimizedSize: finalImageBuffer.length,
-      imageStyleIndex: imageStyleIndex,
-      ip: req.ip
-    });
-
-    // Set response headers for image
+    logger.info('Style preview generated', { styleId: style.id, provider: result.provider, durationMs: Date.now() - startedAt, ip: req.ip });
     res.setHeader('Content-Type', 'image/png');
-    res.setHeader('Content-Disposition', `attachment; filename="optimized_${Date.now()}.png"`);
-    res.send(finalImageBuffer);
+    res.setHeader('X-Provider', result.provider);
+    res.send(image);
+  } catch (error) {
+    logger.warn('Style preview failed', { error: error.message, ip: req.ip });
+    const status = error instanceof SyntaxError ? 400 : error.status || 502;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+app.put('/api/admin/styles/:id', (req, res) => {
+  try {
+    res.json(styleStore.update(req.params.id, req.body));
+  } catch (error) {
+    logger.warn('Style update failed', { styleId: req.params.id, error: error.message, ip: req.ip });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Disabled styles disappear from every guest picker but keep their history
+app.post('/api/admin/styles/:id/:action(enable|disable)', (req, res) => {
+  try {
+    res.json(styleStore.setEnabled(req.params.id, req.params.action === 'enable'));
+  } catch (error) {
+    logger.warn('Style switch failed', { styleId: req.params.id, error: error.message, ip: req.ip });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/styles/:id/versions', (req, res) => {
+  try {
+    res.json({ versions: styleStore.versions(req.params.id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/styles/:id/versions/:version/rollback', (req, res) => {
+  try {
+    res.json(styleStore.rollback(req.params.id, req.params.version));
+  } catch (error) {
+    logger.warn('Style rollback failed', { styleId: req.params.id, version: req.params.version, error: error.message, ip: req.ip });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Job status for polling clients
+app.get('/api/jobs/:id', (req, res) => {
+  const job = req.eventContext.jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', code: 'JOB_NOT_FOUND' });
+  }
+  res.json(job);
+});
+
+// Job status as Server-Sent Events, closed once the job is finished or forgotten
+app.get('/api/jobs/:id/events', (req, res) => {
+  const { jobs } = req.eventContext;
+  if (!jobs.get(req.params.id)) {
+    return res.status(404).json({ error: 'Job not found', code: 'JOB_NOT_FOUND' });
+  }
+
+  let lastSent = null;
+  const send = () => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      stream.close();
+      return;
+    }
+
+    const data = JSON.stringify(job);
+    if (data !== lastSent) {
+      lastSent = data;
+      stream.send(job);
+    }
+    if (['printed', 'failed', 'rejected'].includes(job.status)) {
+      stream.close();
+    }
+  };
+
+  const stream = openEventStream(req, res, () => jobs.events.off('change', send));
+  jobs.events.on('change', send);
+  send();
+});
+
+// Queue an image optimization job; poll /api/optimize-image/:jobId for the result
+app.post('/api/optimize-image', guestLimits.rateLimit('optimize'), guestLimits.requireQuota('optimize'), imageUpload.single('image'), async (req, res) => {
+  try {
+    const { runtimeSettings, styles } = req.eventContext;
+    if (!runtimeSettings.optimizationEnabled) {
+      logger.warn('Image optimization attempt while disabled', { ip: req.ip });
+      return res.status(503).json({ error: 'AI optimization is currently disabled', code: 'OPTIMIZATION_DISABLED' });
+    }
+
+    if (!req.file) {
+      logger.warn('Image optimization attempt without file', { ip: req.ip });
+      return res.status(400).json({ error: 'No image uploaded', code: 'NO_IMAGE' });
+    }
+
+    const style = styles.get(req.body.styleId);
+    if (!style) {
+      logger.warn('Invalid image style', { 
+        styleId: req.body.styleId,
+        ip: req.ip
+      });
+      return res.status(400).json({ error: 'Invalid image style selected', code: 'INVALID_STYLE' });
+    }
+
+    const hash = req.file.sha256;
+    if (await resultCache.get(hash, cacheKey(style))) {
+      logger.info('Image optimization served from cache', { hash, styleId: style.id, ip: req.ip });
+      return res.json({ hash, cached: true });
+    }
+
+    // Cache hits above are free; only new generations count towards the quota
+    const refundQuota = guestLimits.consume(req, 'optimize');
+    let job;
+    try {
+      job = optimizeQueue.submit({
+        type: 'optimize',
+        buffer: req.file.buffer,
+        mimeType: req.file.mimetype,
+        filename: req.file.originalname,
+        hash,
+        style,
+        refundQuota
+      });
+    } catch (error) {
+      refundQuota();
+      throw error;
+    }
+
+    logger.info('Image optimization queued', { 
+      jobId: job.id,
+      position: job.position,
+      filename: req.file.originalname, 
+      filesize: req.file.size,
+      mimetype: req.file.mimetype,
+      ip: req.ip,
+      styleId: style.id
+    });
+    res.status(202).json({ jobId: job.id, job, hash, remaining: guestLimits.remaining(req) });
 
   } catch (error) {
     logger.error('Image optimization error', { 
@@ -241,63 +1038,270 @@ app.post('/api/optimize-image', upload.single('image'), async (req, res) => {
       filename: req.file?.originalname,
       ip: req.ip 
     });
-    res.status(500).json({ error: error.message || 'Image optimization failed' });
+    res.status(error.status || 500).json({ error: error.message || 'Image optimization failed', code: errorCode(error) });
+  }
+});
+
+// Previously optimized result for a photo hash and style, so clients can skip the upload
+app.get('/api/optimize-image/cache/:hash/:styleId', async (req, res) => {
+  try {
+    const style = req.eventContext.styles.get(req.params.styleId);
+    if (!style) {
+      return res.status(400).json({ error: 'Invalid image style selected', code: 'INVALID_STYLE' });
+    }
+
+    const buffer = await resultCache.get(req.params.hash, cacheKey(style));
+    if (!buffer) {
+      return res.status(404).json({ error: 'No cached image for this photo and style', code: 'NOT_CACHED' });
+    }
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.send(buffer);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: errorCode(error) });
+  }
+});
+
+// "Show me all styles": one photo through every style of the event, streamed back as
+// Server-Sent Events as each result is ready. Cached results are free; every new
+// generation counts towards the quota and styles beyond it come back as skipped. There
+// is no quota check up front: a guest with none left still gets every cached style.
+//
+//   event: start   { hash, styles, remaining }
+//   event: result  { styleId, status: done | failed | skipped, resultUrl?, provider?, code? }
+//   event: end     {}
+app.post('/api/optimize-image/all', guestLimits.rateLimit('optimize'), imageUpload.single('image'), async (req, res) => {
+  const { runtimeSettings, styles } = req.eventContext;
+  if (!runtimeSettings.optimizationEnabled) {
+    return res.status(503).json({ error: 'AI optimization is currently disabled', code: 'OPTIMIZATION_DISABLED' });
+  }
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image uploaded', code: 'NO_IMAGE' });
+  }
+
+  const hash = req.file.sha256;
+  const catalog = styles.list(req.query.lang);
+  let cached;
+  try {
+    cached = await Promise.all(catalog.map(entry => resultCache.get(hash, cacheKey(styles.get(entry.id)))));
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message, code: errorCode(error) });
+  }
+
+  const results = [];
+  const pending = new Map(); // job id -> style id
+  catalog.forEach((entry, i) => {
+    if (cached[i]) {
+      results.push({ styleId: entry.id, status: 'done', provider: 'cache', resultUrl: `api/optimize-image/cache/${hash}/${encodeURIComponent(entry.id)}` });
+      return;
+    }
+    if (guestLimits.remaining(req).optimize === 0) {
+      results.push({ styleId: entry.id, status: 'skipped', code: 'OPTIMIZE_QUOTA_EXCEEDED' });
+      return;
+    }
+
+    const refundQuota = guestLimits.consume(req, 'optimize');
+    try {
+      const job = optimizeQueue.submit({
+        type: 'optimize',
+        buffer: req.file.buffer,
+        mimeType: req.file.mimetype,
+        filename: req.file.originalname,
+        hash,
+        style: styles.get(entry.id),
+        refundQuota
+      });
+      pending.set(job.id, entry.id);
+    } catch (error) {
+      refundQuota();
+      results.push({ styleId: entry.id, status: 'failed', code: errorCode(error) });
+    }
+  });
+
+  logger.info('All-styles optimization queued', {
+    hash,
+    styles: catalog.length,
+    cached: cached.filter(Boolean).length,
+    queued: pending.size,
+    ip: req.ip
+  });
+
+  const onChange = (job) => {
+    const styleId = pending.get(job.id);
+    if (!styleId || !['done', 'failed'].includes(job.status)) return;
+
+    pending.delete(job.id);
+    stream.send(job.status === 'done'
+      ? { styleId, status: 'done', provider: job.provider, resultUrl: `api/optimize-image/${job.id}/result` }
+      : { styleId, status: 'failed', code: job.errorCode }, 'result');
+    if (pending.size === 0) finish();
+  };
+
+  // Jobs keep running after the guest leaves; their results still fill the cache
+  const stream = openEventStream(req, res, () => optimizeQueue.events.off('change', onChange));
+  const finish = () => {
+    stream.send({}, 'end');
+    stream.close();
+  };
+
+  stream.send({ hash, styles: catalog, remaining: guestLimits.remaining(req) }, 'start');
+  results.forEach(result => stream.send(result, 'result'));
+  if (pending.size === 0) return finish();
+  optimizeQueue.events.on('change', onChange);
+});
+
+// Optimization job status for polling clients
+app.get('/api/optimize-image/:jobId', (req, res) => {
+  const job = optimizeQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Optimization job not found', code: 'OPTIMIZE_JOB_NOT_FOUND' });
+  }
+  res.json(job);
+});
+
+app.get('/api/optimize-image/:jobId/result', (req, res) => {
+  const result = optimizeQueue.getResult(req.params.jobId);
+  if (!result) {
+    return res.status(404).json({ error: 'Optimized image not ready', code: 'RESULT_NOT_READY' });
+  }
+
+  // Set response headers for image
+  const extension = result.mimeType === 'image/jpeg' ? 'jpg' : 'png';
+  res.setHeader('Content-Type', result.mimeType);
+  res.setHeader('X-Image-Provider', result.provider || 'none');
+  res.setHeader('Content-Disposition', `attachment; filename="optimized_${Date.now()}.${extension}"`);
+  res.send(result.buffer);
+});
+
+// ---------- Collage ----------
+
+app.get('/api/collage/layouts', (req, res) => {
+  res.json({ minPhotos: 2, maxPhotos: 4, layouts: LAYOUTS });
+});
+
+// Queue a 2-4 photo collage, optionally stylizing every photo first.
+// The result is fetched like an optimization job and then sent through /api/upload.
+app.post('/api/collage', guestLimits.rateLimit('optimize'), imageUpload.array('photos', 4), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length < 2) {
+      return res.status(400).json({ error: 'A collage needs 2 to 4 photos', code: 'COLLAGE_PHOTO_COUNT' });
+    }
+
+    const layout = getLayout(req.body.layout, files.length);
+    if (!layout) {
+      return res.status(400).json({ error: `Invalid collage layout for ${files.length} photos`, code: 'INVALID_LAYOUT' });
+    }
+
+    let style = null;
+    let refundQuota = () => {};
+    if (req.body.styleId) {
+      const { runtimeSettings, styles } = req.eventContext;
+      if (!runtimeSettings.optimizationEnabled) {
+        return res.status(503).json({ error: 'AI optimization is currently disabled', code: 'OPTIMIZATION_DISABLED' });
+      }
+      style = styles.get(req.body.styleId);
+      if (!style) {
+        return res.status(400).json({ error: 'Invalid image style selected', code: 'INVALID_STYLE' });
+      }
+
+      // Each stylized photo is one AI generation
+      const left = guestLimits.remaining(req).optimize;
+      if (left !== null && left < files.length) {
+        return res.status(429).json({
+          error: 'You do not have enough AI generations left to stylize every photo',
+          code: 'OPTIMIZE_QUOTA_EXCEEDED',
+          quotaExceeded: 'optimize',
+          remaining: guestLimits.remaining(req)
+        });
+      }
+      const refunds = files.map(() => guestLimits.consume(req, 'optimize'));
+      refundQuota = () => refunds.forEach(refund => refund());
+    }
+
+    const photos = files.map(file => ({ buffer: file.buffer, mimeType: file.mimetype, hash: file.sha256 }));
+    let job;
+    try {
+      job = optimizeQueue.submit(
+        { type: 'collage', photos, layout, style, refundQuota },
+        { timeoutMs: style ? (config.OPTIMIZE_TIMEOUT_MS || 90000) * files.length : undefined }
+      );
+    } catch (error) {
+      refundQuota();
+      throw error;
+    }
+
+    logger.info('Collage queued', { jobId: job.id, layout: layout.id, photos: files.length, styleId: style?.id || null, ip: req.ip });
+    res.status(202).json({ jobId: job.id, job, remaining: guestLimits.remaining(req) });
+  } catch (error) {
+    logger.error('Collage error', { error: error.message, stack: error.stack, ip: req.ip });
+    res.status(error.status || 500).json({ error: error.message || 'Collage failed', code: errorCode(error) });
   }
 });
 
 // Upload endpoint
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+app.post('/api/upload', guestLimits.rateLimit('upload'), guestLimits.requireQuota('print'), imageUpload.single('file'), async (req, res) => {
   try {
+    const { event, runtimeSettings, storage, jobs } = req.eventContext;
 
-    if (config.ENABLE_UPLOAD_IMAGE !== true) {
+    if (!runtimeSettings.uploadsEnabled) {
       logger.warn('Upload attempt when uploads are disabled. Please contact moderator to enable uploads.', { ip: req.ip });
-      return res.status(503).json({ error: 'File uploads are currently disabled' });
+      return res.status(503).json({ error: 'File uploads are currently disabled', code: 'UPLOADS_DISABLED' });
     }
 
     if (!req.file) {
       logger.warn('Upload attempt without file', { ip: req.ip });
-      return res.status(400).json({ error: 'No file uploaded' });
+      return res.status(400).json({ error: 'No file uploaded', code: 'NO_IMAGE' });
+    }
+
+    const { message, error: messageError, code: messageErrorCode } = sanitizeGreetingMessage(req.body.message, config.GREETING_MESSAGE_MAX_LENGTH);
+    if (messageError) {
+      logger.warn('Invalid greeting message', { error: messageError, ip: req.ip });
+      return res.status(400).json({ error: messageError, code: messageErrorCode, maxLength: config.GREETING_MESSAGE_MAX_LENGTH });
     }
 
     logger.info('File upload started', { 
       filename: req.file.originalname, 
       filesize: req.file.size,
       mimetype: req.file.mimetype,
+      messageLength: message.length,
+      event: event?.slug,
       ip: req.ip
     });
 
-    const drive = getDriveService();
-    const folderId = config.GOOGLE_DRIVE_QUEUE_FOLDER_ID;
-
-    // Upload file to Google Drive
-    const fileMetadata = {
+    const result = await storage.save({
       name: `${Date.now()}_${req.file.originalname}`,
-      parents: [folderId]
-    };
-
-    const media = {
       mimeType: req.file.mimetype,
-      body: require('stream').Readable.from([req.file.buffer])
-    };
-
-    const response = await drive.files.create({
-      resource: fileMetadata,
-      media: media,
-      fields: 'id, webViewLink'
+      buffer: req.file.buffer,
+      metadata: message ? { message } : {}
     });
 
-    logger.info('File uploaded successfully to Google Drive', {
+    guestLimits.consume(req, 'print');
+    uploadCount.inc({ event: event?.slug || 'default', outcome: 'success' });
+
+    logger.info('File uploaded successfully', {
       filename: req.file.originalname,
-      fileId: response.data.id,
+      fileId: result.id,
       filesize: req.file.size,
+      storage: storage.name,
+      event: event?.slug,
       ip: req.ip
     });
 
+    // Only track jobs when the built-in worker is the one printing them
+    const job = config.PRINT_QUEUE_ENABLED === true
+      ? jobs.create({ fileId: result.id, name: req.file.originalname })
+      : null;
+
     res.json({
       success: true,
       message: 'File uploaded successfully',
-      fileId: response.data.id,
-      fileLink: response.data.webViewLink
+      fileId: result.id,
+      fileLink: result.link,
+      jobId: job?.id || null,
+      job,
+      remaining: guestLimits.remaining(req)
     });
   } catch (error) {
     logger.error('Upload error', { 
@@ -306,14 +1310,15 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
       filename: req.file?.originalname,
       ip: req.ip 
     });
-    res.status(500).json({ error: error.message || 'Upload failed' });
+    uploadCount.inc({ event: req.eventContext.event?.slug || 'default', outcome: 'failed' });
+    res.status(500).json({ error: error.message || 'Upload failed', code: 'UPLOAD_FAILED' });
   }
 });
 
 // 404 handler
 app.use((req, res) => {
   logger.warn('Route not found', { path: req.path, ip: req.ip });
-  res.status(404).json({ error: 'Route not found' });
+  res.status(404).json({ error: 'Route not found', code: 'NOT_FOUND' });
 });
 
 // Start server with HTTPS or HTTP
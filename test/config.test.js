@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createConfig } = require('../lib/config');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// A config directory with the given config.json and the shipped card templates
+function configDir(settings) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wedding-config-'));
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ STORAGE_BACKEND: 'local', ...settings }));
+  fs.copyFileSync(path.join(__dirname, '..', 'card-templates.json'), path.join(dir, 'card-templates.json'));
+  return dir;
+}
+
+function load(settings, env = {}) {
+  const dir = configDir(settings);
+  try {
+    const loaded = createConfig({ dir, env, logger });
+    loaded.close();
+    return loaded.config;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('missing keys get their defaults', () => {
+  const config = load({});
+  assert.strictEqual(config.UPLOAD_MAX_FILE_SIZE_MB, 25);
+  assert.strictEqual(config.GOOGLE_DRIVE_SCOPE, 'drive.file');
+  assert.strictEqual(config.REQUIRE_APPROVAL, false);
+  assert.deepStrictEqual(config.IMAGE_FALLBACK_PROVIDERS, ['local']);
+});
+
+test('every invalid value is reported in one error', () => {
+  assert.throws(() => load({
+    UPLOAD_MAX_FILE_SIZE_MB: '25',
+    ENABLE_AI_OPTIMIZATION: 'yes',
+    RATE_LIMIT_WINDOW_MS: 10,
+    WALL_LAYOUT: 'grid'
+  }), (error) => {
+    assert.match(error.message, /^Invalid configuration:/);
+    assert.match(error.message, /UPLOAD_MAX_FILE_SIZE_MB must be a whole number/);
+    assert.match(error.message, /ENABLE_AI_OPTIMIZATION must be true or false/);
+    assert.match(error.message, /RATE_LIMIT_WINDOW_MS must be at least 1000/);
+    assert.match(error.message, /WALL_LAYOUT must be one of slideshow, mosaic \(got "grid"\)/);
+    return true;
+  });
+});
+
+test('nested limits are checked key by key', () => {
+  assert.throws(() => load({ RATE_LIMITS: { upload: { perIP: 5 } } }), /RATE_LIMITS\.upload\.perIP is not a known setting/);
+  assert.throws(() => load({ GUEST_QUOTAS: { print: -1 } }), /GUEST_QUOTAS\.print must be at least 0/);
+});
+
+test('environment variables win over config.json and are parsed by type', () => {
+  const config = load({ UPLOAD_MAX_FILE_SIZE_MB: 10, ENABLE_AI_OPTIMIZATION: true }, {
+    UPLOAD_MAX_FILE_SIZE_MB: '40',
+    ENABLE_AI_OPTIMIZATION: 'false',
+    IMAGE_FALLBACK_PROVIDERS: 'gemini, local',
+    GUEST_QUOTAS: '{"print":3}'
+  });
+  assert.strictEqual(config.UPLOAD_MAX_FILE_SIZE_MB, 40);
+  assert.strictEqual(config.ENABLE_AI_OPTIMIZATION, false);
+  assert.deepStrictEqual(config.IMAGE_FALLBACK_PROVIDERS, ['gemini', 'local']);
+  assert.strictEqual(config.GUEST_QUOTAS.print, 3);
+});
+
+test('bad environment values name the variable', () => {
+  assert.throws(() => load({}, { GUEST_QUOTAS: '{print:3}' }), /GUEST_QUOTAS \(environment\) is not valid JSON/);
+  assert.throws(() => load({}, { OPTIMIZE_CONCURRENCY: 'two' }), /OPTIMIZE_CONCURRENCY \(environment\) must be a whole number/);
+});
+
+test('approval needs an admin password', () => {
+  assert.throws(() => load({ REQUIRE_APPROVAL: true }), /ADMIN_PASSWORD is required when REQUIRE_APPROVAL is on/);
+  assert.strictEqual(load({ REQUIRE_APPROVAL: true }, { ADMIN_PASSWORD: 'secret' }).REQUIRE_APPROVAL, true);
+});
+
+test('Google Drive storage needs OAuth client credentials', () => {
+  assert.throws(() => load({ STORAGE_BACKEND: 'google-drive' }), /credentials\.json not found/);
+  const config = load({ STORAGE_BACKEND: 'google-drive' }, { GOOGLE_CLIENT_ID: 'id', GOOGLE_CLIENT_SECRET: 'secret' });
+  assert.strictEqual(config.STORAGE_BACKEND, 'google-drive');
+});
+
+test('the card template must exist', () => {
+  assert.throws(() => load({ CARD_TEMPLATE: 'missing' }), /CARD_TEMPLATE "missing" is not in card-templates.json/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeGreetingMessage } = require('../lib/greeting-message');
+
+test('a missing message is an empty one', () => {
+  assert.deepStrictEqual(sanitizeGreetingMessage(undefined, 200), { message: '' });
+  assert.deepStrictEqual(sanitizeGreetingMessage(null, 200), { message: '' });
+});
+
+test('anything but text is refused', () => {
+  assert.strictEqual(sanitizeGreetingMessage(['hi'], 200).code, 'MESSAGE_NOT_TEXT');
+  assert.strictEqual(sanitizeGreetingMessage(42, 200).code, 'MESSAGE_NOT_TEXT');
+});
+
+test('control characters and bidi overrides are dropped, line breaks kept', () => {
+  const { message } = sanitizeGreetingMessage('Hap\u0000py\u202E day\r\nto you\tboth\u0007', 200);
+  assert.strictEqual(message, 'Happy day\nto youboth');
+});
+
+test('blank lines collapse and the message is trimmed', () => {
+  const { message } = sanitizeGreetingMessage('  Congrats!   \n\n\n\n\nLove, Nok  \n', 200);
+  assert.strictEqual(message, 'Congrats!\n\nLove, Nok');
+});
+
+test('text is NFC-normalized', () => {
+  assert.strictEqual(sanitizeGreetingMessage('e\u0301', 200).message, '\u00E9');
+  assert.strictEqual(sanitizeGreetingMessage('ยินดีด้วยนะ', 200).message, 'ยินดีด้วยนะ');
+});
+
+test('the length limit counts characters, not UTF-16 units', () => {
+  assert.deepStrictEqual(sanitizeGreetingMessage('\u{1F600}\u{1F600}\u{1F600}', 3), { message: '\u{1F600}\u{1F600}\u{1F600}' });
+
+  const result = sanitizeGreetingMessage('\u{1F600}\u{1F600}\u{1F600}\u{1F600}', 3);
+  assert.strictEqual(result.code, 'MESSAGE_TOO_LONG');
+  assert.match(result.error, /at most 3 characters/);
+});
+
+test('the limit applies after sanitizing', () => {
+  assert.deepStrictEqual(sanitizeGreetingMessage('   abc   ', 3), { message: 'abc' });
+});
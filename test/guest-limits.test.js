@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGuestLimits } = require('../lib/guest-limits');
+
+const logger = { warn() {} };
+
+function guestRequest({ ip = '10.0.0.1', token = null, slug = null } = {}) {
+  return {
+    ip,
+    get: name => (name === 'X-Device-Token' ? token : undefined),
+    eventContext: { event: slug ? { slug } : null }
+  };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Runs the middleware once; true when the request was let through
+function passes(middleware, req) {
+  let passed = false;
+  middleware(req, fakeResponse(), () => { passed = true; });
+  return passed;
+}
+
+test('rate limit turns a device away once its window is full', () => {
+  const limits = createGuestLimits({ config: { RATE_LIMITS: { upload: { perIp: 100, perDevice: 2 } } }, logger });
+  const limit = limits.rateLimit('upload');
+  const req = guestRequest({ token: 'device-aaaa' });
+
+  assert.strictEqual(passes(limit, req), true);
+  assert.strictEqual(passes(limit, req), true);
+
+  const res = fakeResponse();
+  limit(req, res, () => assert.fail('third request should be limited'));
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.body.code, 'RATE_LIMITED');
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+
+  // Another phone on the same Wi-Fi has its own allowance
+  assert.strictEqual(passes(limit, guestRequest({ token: 'device-bbbb' })), true);
+});
+
+test('rate limit window starts over after RATE_LIMIT_WINDOW_MS', async () => {
+  const limits = createGuestLimits({ config: { RATE_LIMIT_WINDOW_MS: 50, RATE_LIMITS: { upload: { perIp: 1 } } }, logger });
+  const limit = limits.rateLimit('upload');
+  const req = guestRequest();
+
+  assert.strictEqual(passes(limit, req), true);
+  assert.strictEqual(passes(limit, req), false);
+  await new Promise(resolve => setTimeout(resolve, 70));
+  assert.strictEqual(passes(limit, req), true);
+});
+
+test('a limit of 0 disables it', () => {
+  const limits = createGuestLimits({ config: { RATE_LIMITS: { upload: { perIp: 0, perDevice: 0 } } }, logger });
+  const limit = limits.rateLimit('upload');
+  for (let i = 0; i < 50; i++) {
+    assert.strictEqual(passes(limit, guestRequest({ token: 'device-aaaa' })), true);
+  }
+});
+
+test('rate limits are counted per event', () => {
+  const limits = createGuestLimits({ config: { RATE_LIMITS: { upload: { perDevice: 1 } } }, logger });
+  const limit = limits.rateLimit('upload');
+
+  assert.strictEqual(passes(limit, guestRequest({ token: 'device-aaaa' })), true);
+  assert.strictEqual(passes(limit, guestRequest({ token: 'device-aaaa' })), false);
+  assert.strictEqual(passes(limit, guestRequest({ token: 'device-aaaa', slug: 'nok-and-somchai' })), true);
+});
+
+test('quotas are counted per device and per event, and can be refunded', () => {
+  const limits = createGuestLimits({ config: { GUEST_QUOTAS: { optimize: 2, print: 1 } }, logger });
+  const guest = guestRequest({ token: 'device-aaaa' });
+
+  assert.deepStrictEqual(limits.remaining(guest), { optimize: 2, print: 1 });
+  limits.consume(guest, 'print');
+  const refund = limits.consume(guest, 'optimize');
+  assert.deepStrictEqual(limits.remaining(guest), { optimize: 1, print: 0 });
+
+  refund();
+  assert.strictEqual(limits.remaining(guest).optimize, 2);
+
+  assert.strictEqual(limits.remaining(guestRequest({ token: 'device-aaaa', slug: 'other-wedding' })).print, 1);
+  assert.strictEqual(limits.remaining(guestRequest({ token: 'device-bbbb' })).print, 1);
+});
+
+test('requireQuota answers 429 once the quota is used up', () => {
+  const limits = createGuestLimits({ config: { GUEST_QUOTAS: { print: 1 } }, logger });
+  const guest = guestRequest({ token: 'device-aaaa' });
+
+  assert.strictEqual(passes(limits.requireQuota('print'), guest), true);
+  limits.consume(guest, 'print');
+
+  const res = fakeResponse();
+  limits.requireQuota('print')(guest, res, () => assert.fail('quota should be exhausted'));
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.body.code, 'PRINT_QUOTA_EXCEEDED');
+});
+
+test('new device tokens do not get past the per-IP quota', () => {
+  const limits = createGuestLimits({ config: { GUEST_QUOTAS: { print: 1 }, GUEST_IP_QUOTAS: { print: 2 } }, logger });
+
+  limits.consume(guestRequest({ token: 'device-aaaa' }), 'print');
+  limits.consume(guestRequest({ token: 'device-bbbb' }), 'print');
+
+  assert.strictEqual(limits.remaining(guestRequest({ token: 'device-cccc' })).print, 0);
+  assert.strictEqual(limits.remaining(guestRequest({ token: 'device-cccc', ip: '10.0.0.2' })).print, 1);
+});
+
+test('guests without a valid device token are counted by IP', () => {
+  const limits = createGuestLimits({ config: { GUEST_QUOTAS: { print: 1 } }, logger });
+
+  limits.consume(guestRequest({ token: 'bad token!' }), 'print');
+  assert.strictEqual(limits.remaining(guestRequest()).print, 0);
+  assert.deepStrictEqual(createGuestLimits({ config: {}, logger }).remaining(guestRequest()), { optimize: null, print: null });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectImageFormat } = require('../lib/image-upload');
+
+// The first bytes of each format, padded to the 12 bytes detection needs
+function header(...parts) {
+  const buffer = Buffer.concat(parts.map(part => Buffer.from(part, typeof part === 'string' ? 'latin1' : undefined)));
+  return Buffer.concat([buffer, Buffer.alloc(Math.max(0, 16 - buffer.length))]);
+}
+
+test('recognizes images by their magic bytes', () => {
+  assert.strictEqual(detectImageFormat(header([0xFF, 0xD8, 0xFF, 0xE0])), 'jpeg');
+  assert.strictEqual(detectImageFormat(header([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])), 'png');
+  assert.strictEqual(detectImageFormat(header('GIF89a')), 'gif');
+  assert.strictEqual(detectImageFormat(header('RIFF', [0, 0, 0, 0], 'WEBP')), 'webp');
+  assert.strictEqual(detectImageFormat(header([0x49, 0x49, 0x2A, 0x00])), 'tiff');
+  assert.strictEqual(detectImageFormat(header([0x4D, 0x4D, 0x00, 0x2A])), 'tiff');
+});
+
+test('tells HEIC, HEIF and AVIF apart by their ftyp brand', () => {
+  assert.strictEqual(detectImageFormat(header([0, 0, 0, 0x18], 'ftypheic')), 'heic');
+  assert.strictEqual(detectImageFormat(header([0, 0, 0, 0x18], 'ftypmif1')), 'heif');
+  assert.strictEqual(detectImageFormat(header([0, 0, 0, 0x18], 'ftypavif')), 'avif');
+});
+
+test('other files renamed to .jpg are not images', () => {
+  assert.strictEqual(detectImageFormat(header('%PDF-1.7')), null);
+  assert.strictEqual(detectImageFormat(header('<svg xmlns="')), null);
+  assert.strictEqual(detectImageFormat(header([0, 0, 0, 0x18], 'ftypmp42')), null);
+});
+
+test('too short to tell is not an image', () => {
+  assert.strictEqual(detectImageFormat(Buffer.from([0xFF, 0xD8, 0xFF])), null);
+  assert.strictEqual(detectImageFormat(Buffer.alloc(0)), null);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// upload-queue.js is a browser script; load it the way the page does, with fetch stubbed
+const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'upload-queue.js'), 'utf8');
+
+function loadUploadQueue(fetch) {
+  const context = vm.createContext({ FormData, Blob, fetch, CardDB: { open: async () => null } });
+  return vm.runInContext(`${source}\nUploadQueue;`, context);
+}
+
+function answer(status, body) {
+  return async () => new Response(body === undefined ? null : JSON.stringify(body), { status });
+}
+
+async function send(fetch) {
+  const card = { url: '/api/upload', file: new Blob(['card']), fileName: 'card.jpg', message: 'Congrats!', deviceToken: 'device-aaaa' };
+  return loadUploadQueue(fetch).send(card);
+}
+
+test('a card the server took is done', async () => {
+  const result = await send(answer(200, { success: true }));
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.retry, false);
+});
+
+test('no connection is retried', async () => {
+  const result = await send(async () => { throw new TypeError('Failed to fetch'); });
+  assert.deepStrictEqual({ ...result }, { ok: false, retry: true, status: 0, data: null });
+});
+
+test('temporary server trouble is retried', async () => {
+  assert.strictEqual((await send(answer(500, { code: 'UPLOAD_FAILED' }))).retry, true);
+  assert.strictEqual((await send(answer(500, { code: 'INTERNAL_ERROR' }))).retry, true);
+  assert.strictEqual((await send(answer(429, { code: 'RATE_LIMITED' }))).retry, true);
+  assert.strictEqual((await send(answer(408))).retry, true);
+});
+
+test('an uncoded error page from a proxy is retried', async () => {
+  assert.strictEqual((await send(answer(502))).retry, true);
+  assert.strictEqual((await send(async () => new Response('<html>Bad Gateway</html>', { status: 503 }))).retry, true);
+});
+
+test('the server refusing the card is final', async () => {
+  const disabled = await send(answer(503, { code: 'UPLOADS_DISABLED' }));
+  assert.strictEqual(disabled.retry, false);
+  assert.strictEqual(disabled.status, 503);
+  assert.strictEqual(disabled.data.code, 'UPLOADS_DISABLED');
+
+  assert.strictEqual((await send(answer(429, { code: 'PRINT_QUOTA_EXCEEDED' }))).retry, false);
+  assert.strictEqual((await send(answer(400, { code: 'UNSUPPORTED_IMAGE' }))).retry, false);
+  assert.strictEqual((await send(answer(413))).retry, false);
+});
+
+test('the device token and greeting are sent along', async () => {
+  let sent;
+  await send(async (url, options) => {
+    sent = { url, options };
+    return new Response('{}', { status: 200 });
+  });
+  assert.strictEqual(sent.url, '/api/upload');
+  assert.strictEqual(sent.options.headers['X-Device-Token'], 'device-aaaa');
+  assert.strictEqual(sent.options.body.get('message'), 'Congrats!');
+  assert.strictEqual(sent.options.body.get('file').name, 'card.jpg');
+});